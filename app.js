@@ -2,73 +2,3076 @@
 
 class PortfolioManager {
   constructor() {
-    this.data = { bonds: [], stats: {} };
+    // issuers: master data by issuer name ({ rating, sector, country, seniority }), linked via bond.issuer
+    // prices: clean price history (% of par) per ISIN (or bond key), [{ date: 'YYYY-MM-DD', price }] oldest first
+    this.data = { bonds: [], etfs: [], issuers: {}, prices: {}, stats: {} };
     this.charts = {};
     this.currentTab = 'dashboard';
     this.filters = {
-      bonds: { search: '', issuer: '', depot: '', year: '', excludeMatured: true },
+      bonds: { search: '', issuer: '', depot: '', year: '', rating: '', sector: '', country: '', excludeMatured: true },
+      etfs: { search: '', depot: '' },
       interest: { issuer: '', depot: '', year: '', showPast: false },
-      dashboard: { banks: [], excludedBondKeys: [] }
+      dashboard: { banks: [], excludedBondKeys: [], yieldWeighting: 'par', taxYear: '' }
     };
+    // Pristine filter values, used when a URL only carries the filters that differ from them
+    this.defaultFilters = JSON.parse(JSON.stringify(this.filters));
+    // Set while the view is being restored from the URL so that doing so does not write history
+    this.applyingRoute = false;
+    // Marks the history entries pushed by this page load; only those may be undone with history.back()
+    this.historySession = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    // Date the whole app is evaluated at (stats, active/matured, timeline split); null = today.
+    // Session only, so a reload always comes back to the live view.
+    this.asOfDate = null;
 
-    // CACHE KEYS
+    // CACHE KEYS (legacy localStorage keys are migrated into IndexedDB on first start)
     this.CACHE_KEY_BONDS = 'bonds_json_v1';
     this.CACHE_KEY_TS    = 'bonds_cached_at';
+    this.CACHE_KEY_ETFS  = 'etfs_json_v1';
+    this.CACHE_KEY_FILTERS = 'filters_v1';
+    this.CACHE_KEY_SETTINGS = 'settings_v1';
+    this.CACHE_KEY_ISSUERS = 'issuers_v1';
+    this.CACHE_KEY_PRICES = 'prices_v1';
+    // How far ahead the reminder list looks (and what is handed to the service worker)
+    this.REMINDER_HORIZON_DAYS = 90;
+
+    // User settings (persisted next to the bonds). FX rates are units of currency per 1 EUR.
+    this.settings = {
+      baseCurrency: 'EUR',
+      fxRates: { EUR: 1 },
+      fxRatesDate: '',
+      // 'gross' or 'net' (after German withholding tax) for timeline, interest chart and maturity yield
+      incomeBasis: 'gross',
+      // Abgeltungsteuer in %, church tax in % of the income tax (0, 8 or 9),
+      // Sparerpauschbetrag and its split into Freistellungsaufträge per depot bank
+      tax: {
+        rate: 25,
+        soli: true,
+        churchRate: 0,
+        allowance: 1000,
+        allowanceByBank: {}
+      },
+      // Reinvestment projection overlaid on the interest chart: maturing principal (and optionally
+      // coupons) is rolled into new bonds paying `rate` % for `tenor` years, over the next `years` years
+      projection: {
+        enabled: false,
+        rate: 3,
+        tenor: 5,
+        years: 10,
+        reinvestCoupons: false
+      },
+      // Annual income goal in the base currency. Each step applies from `fromYear` (null = from the
+      // start) until the next step; `basis` says whether the goal is meant gross or after tax.
+      incomeGoal: {
+        basis: 'gross',
+        steps: [{ fromYear: null, amount: 150000 }]
+      },
+      // Maturity ladder target: equal principal per year over `years` years from now, or a custom
+      // curve of relative weights (one per ladder year). Years off by more than `tolerance` % are flagged.
+      ladder: {
+        profile: 'equal',
+        years: 10,
+        tolerance: 20,
+        weights: []
+      },
+      // Concentration limits on dashboard bond principal: max share (%) and/or max amount (base currency)
+      // per issuer, depot bank and maturity year. null switches a limit off.
+      limits: {
+        issuer: { maxPct: null, maxAmount: null },
+        bank: { maxPct: null, maxAmount: null },
+        year: { maxPct: null, maxAmount: null }
+      },
+      // Local notifications `daysBefore` days ahead of coupon payments and maturities; `muted` holds
+      // position keys that never notify
+      reminders: {
+        enabled: false,
+        daysBefore: 7,
+        coupons: true,
+        maturities: true,
+        muted: []
+      }
+    };
+    // Limit breaches per bond object, rebuilt by calculateStats for the card badges
+    this.limitBreachesByBond = new Map();
+    // Goal steps being edited in the goal modal before they are saved
+    this.goalDraft = null;
+    // Rates being edited in the FX modal before they are saved
+    this.fxDraft = null;
+    // Per-year withholding allocation, rebuilt after every data or settings change
+    this.taxCache = new Map();
+    this.filtersSaveTimer = null;
+
+    // Coupon schedules are derived data; cached per bond object and invalidated when schedule fields change
+    this.scheduleCache = new WeakMap();
+    this.ledgerCouponCache = new WeakMap();
+    this.yieldCache = new WeakMap();
+    this.DB_NAME = 'portfolio_manager';
+    this.DB_VERSION = 1;
+    this.MAX_SNAPSHOTS = 100;
+    this.dbPromise = null;
+    this.CACHE_KEY_CSV_MAPPING = 'csv_mapping_v1';
+
+    // Parsed CSV waiting for the user to confirm the column mapping
+    this.csvImport = null;
+    // Validated records waiting for the user to confirm the import report
+    this.pendingImport = null;
+    // Merge plan waiting for the user to resolve conflicts
+    this.pendingMerge = null;
+    // Bond (or ETF) currently open in the detail modal / editor (null editor bond = new bond)
+    this.detailBond = null;
+    this.editingBond = null;
 
     this.init();
   }
 
-  // ---------- Cache helpers ----------
-  loadBondsFromCache() {
-    try {
-      const raw = localStorage.getItem(this.CACHE_KEY_BONDS);
-      if (!raw) return false;
-      const parsed = JSON.parse(raw);
-      if (!Array.isArray(parsed) || parsed.length === 0) return false;
-      this.data.bonds = parsed;
-      return true;
-    } catch (e) {
-      console.warn('Failed to parse cached bonds:', e);
-      return false;
+  // ---------- IndexedDB helpers ----------
+  // Stores: `state` (key/value, current portfolio under "bonds") and `snapshots` (one per import/edit)
+  openDatabase() {
+    if (this.dbPromise) return this.dbPromise;
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('state')) db.createObjectStore('state');
+        if (!db.objectStoreNames.contains('snapshots')) {
+          const store = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call retry instead of caching the failure forever
+    this.dbPromise.catch(() => { this.dbPromise = null; });
+    return this.dbPromise;
+  }
+
+  async idbRun(storeName, mode, fn) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      let result;
+      if (request) request.onsuccess = () => { result = request.result; };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  idbGet(storeName, key) {
+    return this.idbRun(storeName, 'readonly', store => store.get(key));
+  }
+  idbPut(storeName, value, key) {
+    return this.idbRun(storeName, 'readwrite', store => (key === undefined ? store.put(value) : store.put(value, key)));
+  }
+  idbDelete(storeName, key) {
+    return this.idbRun(storeName, 'readwrite', store => store.delete(key));
+  }
+  idbGetAll(storeName) {
+    return this.idbRun(storeName, 'readonly', store => store.getAll());
+  }
+
+  // ---------- Cache helpers ----------
+  async loadBondsFromCache() {
+    try {
+      await this.migrateLegacyCache();
+      const current = await this.idbGet('state', 'bonds');
+      if (!current) return false;
+      this.data.bonds = Array.isArray(current.bonds) ? current.bonds : [];
+      this.data.etfs = Array.isArray(current.etfs) ? current.etfs : [];
+      return this.hasPortfolioData();
+    } catch (e) {
+      console.warn('IndexedDB unavailable, falling back to localStorage:', e);
+      return this.loadBondsFromLocalStorage();
+    }
+  }
+
+  loadBondsFromLocalStorage() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(this.CACHE_KEY_BONDS) || '[]');
+      const etfs = JSON.parse(localStorage.getItem(this.CACHE_KEY_ETFS) || '[]');
+      this.data.bonds = Array.isArray(parsed) ? parsed : [];
+      this.data.etfs = Array.isArray(etfs) ? etfs : [];
+      return this.hasPortfolioData();
+    } catch (e) {
+      console.warn('Failed to parse cached bonds:', e);
+      return false;
+    }
+  }
+
+  // Moves a localStorage copy of the portfolio into IndexedDB: the old single-blob `bonds_json_v1`
+  // cache, or the fallback saveBondsToCache writes while IndexedDB fails. The newer copy becomes the
+  // current state, an older one is kept as a snapshot, and localStorage is only cleared once stored.
+  async migrateLegacyCache() {
+    let legacy;
+    let legacyEtfs;
+    try {
+      const raw = localStorage.getItem(this.CACHE_KEY_BONDS);
+      if (!raw) return;
+      legacy = JSON.parse(raw);
+      legacyEtfs = JSON.parse(localStorage.getItem(this.CACHE_KEY_ETFS) || '[]');
+    } catch (e) {
+      console.warn('Failed to parse legacy bonds cache:', e);
+      return;
+    }
+    if (!Array.isArray(legacy)) legacy = [];
+    if (!Array.isArray(legacyEtfs)) legacyEtfs = [];
+
+    if (legacy.length || legacyEtfs.length) {
+      const existing = await this.idbGet('state', 'bonds');
+      const cachedAt = Number(localStorage.getItem(this.CACHE_KEY_TS)) || 0;
+      if (!existing) {
+        await this.writeBonds(legacy, 'Migrated from previous version', cachedAt || Date.now(), legacyEtfs);
+      } else if (cachedAt > (Number(existing.savedAt) || 0)) {
+        await this.writeBonds(legacy, 'Recovered changes saved while the database was unavailable', cachedAt, legacyEtfs);
+      } else {
+        await this.idbPut('snapshots', { createdAt: cachedAt || Date.now(), reason: 'Older local copy', bonds: legacy, etfs: legacyEtfs });
+        await this.pruneSnapshots();
+      }
+    }
+    localStorage.removeItem(this.CACHE_KEY_BONDS);
+    localStorage.removeItem(this.CACHE_KEY_ETFS);
+    localStorage.removeItem(this.CACHE_KEY_TS);
+  }
+
+  // Bonds and ETFs are written (and snapshotted) together so a restore brings back the whole portfolio
+  async writeBonds(bonds, reason, createdAt = Date.now(), etfs = this.data.etfs) {
+    const copy = JSON.parse(JSON.stringify(bonds));
+    const etfCopy = JSON.parse(JSON.stringify(etfs || []));
+    const snapshotId = await this.idbPut('snapshots', { createdAt, reason, bonds: copy, etfs: etfCopy });
+    await this.idbPut('state', { bonds: copy, etfs: etfCopy, savedAt: createdAt, snapshotId }, 'bonds');
+    await this.pruneSnapshots();
+  }
+
+  async pruneSnapshots() {
+    const snapshots = await this.idbGetAll('snapshots');
+    if (snapshots.length <= this.MAX_SNAPSHOTS) return;
+    const excess = snapshots
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, snapshots.length - this.MAX_SNAPSHOTS);
+    for (const snap of excess) await this.idbDelete('snapshots', snap.id);
+  }
+
+  saveBondsToCache(reason = 'Update') {
+    return this.writeBonds(this.data.bonds, reason).catch(e => {
+      console.warn('Failed to save bonds to IndexedDB, using localStorage:', e);
+      try {
+        localStorage.setItem(this.CACHE_KEY_BONDS, JSON.stringify(this.data.bonds));
+        localStorage.setItem(this.CACHE_KEY_ETFS, JSON.stringify(this.data.etfs));
+        localStorage.setItem(this.CACHE_KEY_TS, String(Date.now()));
+      } catch (err) {
+        console.warn('Failed to save bonds cache:', err);
+      }
+    });
+  }
+
+  // Filters are stored next to the bonds in the `state` store (localStorage when IndexedDB is unavailable)
+  async loadFiltersFromCache() {
+    let saved = null;
+    try {
+      saved = await this.idbGet('state', 'filters');
+    } catch {
+      try {
+        saved = JSON.parse(localStorage.getItem(this.CACHE_KEY_FILTERS) || 'null');
+      } catch {}
+    }
+    if (!saved || typeof saved !== 'object') return;
+    Object.keys(this.filters).forEach(group => {
+      if (saved[group] && typeof saved[group] === 'object') {
+        this.filters[group] = { ...this.filters[group], ...saved[group] };
+      }
+    });
+  }
+
+  saveFiltersToCache() {
+    // Search typing fires on every keystroke, so coalesce writes
+    clearTimeout(this.filtersSaveTimer);
+    this.filtersSaveTimer = setTimeout(() => {
+      const snapshot = JSON.parse(JSON.stringify(this.filters));
+      this.idbPut('state', snapshot, 'filters').catch(() => {
+        try {
+          localStorage.setItem(this.CACHE_KEY_FILTERS, JSON.stringify(snapshot));
+        } catch (e) {
+          console.warn('Failed to save filters:', e);
+        }
+      });
+    }, 250);
+  }
+
+  async loadSettings() {
+    let saved = null;
+    try {
+      saved = await this.idbGet('state', 'settings');
+    } catch {
+      try {
+        saved = JSON.parse(localStorage.getItem(this.CACHE_KEY_SETTINGS) || 'null');
+      } catch {}
+    }
+    if (saved && typeof saved === 'object') {
+      this.settings = {
+        ...this.settings,
+        ...saved,
+        tax: { ...this.settings.tax, ...(saved.tax || {}) },
+        projection: { ...this.settings.projection, ...(saved.projection || {}) },
+        incomeGoal: { ...this.settings.incomeGoal, ...(saved.incomeGoal || {}) },
+        ladder: { ...this.settings.ladder, ...(saved.ladder || {}) },
+        limits: { ...this.settings.limits, ...(saved.limits || {}) },
+        reminders: { ...this.settings.reminders, ...(saved.reminders || {}) }
+      };
+    }
+  }
+
+  saveSettings() {
+    const snapshot = JSON.parse(JSON.stringify(this.settings));
+    return this.idbPut('state', snapshot, 'settings').catch(() => {
+      try {
+        localStorage.setItem(this.CACHE_KEY_SETTINGS, JSON.stringify(snapshot));
+      } catch (e) {
+        console.warn('Failed to save settings:', e);
+      }
+    });
+  }
+
+  async loadIssuersFromCache() {
+    let saved = null;
+    try {
+      saved = await this.idbGet('state', 'issuers');
+    } catch {
+      try {
+        saved = JSON.parse(localStorage.getItem(this.CACHE_KEY_ISSUERS) || 'null');
+      } catch {}
+    }
+    if (saved && typeof saved === 'object' && !Array.isArray(saved)) this.data.issuers = saved;
+  }
+
+  saveIssuersToCache() {
+    const snapshot = JSON.parse(JSON.stringify(this.data.issuers));
+    return this.idbPut('state', snapshot, 'issuers').catch(() => {
+      try {
+        localStorage.setItem(this.CACHE_KEY_ISSUERS, JSON.stringify(snapshot));
+      } catch (e) {
+        console.warn('Failed to save issuers:', e);
+      }
+    });
+  }
+
+  async loadPricesFromCache() {
+    let saved = null;
+    try {
+      saved = await this.idbGet('state', 'prices');
+    } catch {
+      try {
+        saved = JSON.parse(localStorage.getItem(this.CACHE_KEY_PRICES) || 'null');
+      } catch {}
+    }
+    if (saved && typeof saved === 'object' && !Array.isArray(saved)) this.data.prices = saved;
+  }
+
+  savePricesToCache() {
+    const snapshot = JSON.parse(JSON.stringify(this.data.prices));
+    return this.idbPut('state', snapshot, 'prices').catch(() => {
+      try {
+        localStorage.setItem(this.CACHE_KEY_PRICES, JSON.stringify(snapshot));
+      } catch (e) {
+        console.warn('Failed to save prices:', e);
+      }
+    });
+  }
+
+  // Drop dashboard exclusions that point at bonds which are no longer in the portfolio
+  pruneExcludedBondKeys() {
+    const keys = new Set([...this.data.bonds, ...this.data.etfs].map(b => this.getBondKey(b)));
+    const excluded = this.filters.dashboard.excludedBondKeys || [];
+    const pruned = excluded.filter(k => keys.has(k));
+    if (pruned.length !== excluded.length) {
+      this.filters.dashboard.excludedBondKeys = pruned;
+      this.saveFiltersToCache();
+    }
+  }
+
+  async clearBondsCache() {
+    try {
+      await this.idbDelete('state', 'bonds');
+    } catch {}
+    try {
+      localStorage.removeItem(this.CACHE_KEY_BONDS);
+      localStorage.removeItem(this.CACHE_KEY_TS);
+    } catch {}
+  }
+
+  // ---------- FX rates ----------
+  openFxModal() {
+    const modal = document.getElementById('fxModal');
+    if (!modal) return;
+    this.fxDraft = {
+      baseCurrency: this.getBaseCurrency(),
+      fxRates: { ...(this.settings.fxRates || {}), EUR: 1 },
+      fxRatesDate: this.settings.fxRatesDate || ''
+    };
+    this.renderFxRates();
+    modal.classList.remove('hidden');
+  }
+
+  closeFxModal() {
+    this.fxDraft = null;
+    const modal = document.getElementById('fxModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  renderFxRates() {
+    const container = document.getElementById('fxRatesTable');
+    const baseSelect = document.getElementById('baseCurrencySelect');
+    const dateInput = document.getElementById('fxRatesDate');
+    if (!container || !this.fxDraft) return;
+
+    const used = new Set([...this.data.bonds, ...this.data.etfs].map(b => this.getBondCurrency(b)));
+    const codes = [...new Set(['EUR', ...used, ...Object.keys(this.fxDraft.fxRates)])].sort((a, b) => a.localeCompare(b));
+
+    if (baseSelect) {
+      baseSelect.innerHTML = codes.map(c => `<option value="${c}">${c}</option>`).join('');
+      baseSelect.value = codes.includes(this.fxDraft.baseCurrency) ? this.fxDraft.baseCurrency : 'EUR';
+      baseSelect.onchange = e => { this.fxDraft.baseCurrency = e.target.value; };
+    }
+    if (dateInput) {
+      dateInput.value = this.fxDraft.fxRatesDate || '';
+      dateInput.onchange = e => { this.fxDraft.fxRatesDate = e.target.value; };
+    }
+
+    container.innerHTML = `
+      <table class="table table--no-cards table--compact">
+        <thead><tr><th>Currency</th><th>Per 1 EUR</th><th></th></tr></thead>
+        <tbody>
+          ${codes.map(code => {
+            const rate = this.fxDraft.fxRates[code];
+            const missing = code !== 'EUR' && !(Number(rate) > 0);
+            return `
+              <tr>
+                <td>${code}${used.has(code) ? '' : ' <span class="muted-copy">(unused)</span>'}</td>
+                <td>${code === 'EUR'
+                  ? '1'
+                  : `<input type="text" class="form-control fx-rate-input ${missing ? 'is-invalid' : ''}" inputmode="decimal" data-currency="${code}" value="${rate != null ? rate : ''}" />`}</td>
+                <td>${code === 'EUR' || used.has(code) ? '' : `<button type="button" class="btn btn--outline btn--sm" data-remove-currency="${code}">✕</button>`}</td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
+
+    container.querySelectorAll('.fx-rate-input').forEach(input => {
+      input.addEventListener('change', e => {
+        const rate = this.parseDecimal(e.target.value);
+        const code = e.target.getAttribute('data-currency');
+        if (rate > 0) this.fxDraft.fxRates[code] = rate;
+        else delete this.fxDraft.fxRates[code];
+        e.target.classList.toggle('is-invalid', !(rate > 0));
+      });
+    });
+    container.querySelectorAll('[data-remove-currency]').forEach(btn => {
+      btn.addEventListener('click', e => {
+        e.preventDefault();
+        delete this.fxDraft.fxRates[btn.getAttribute('data-remove-currency')];
+        this.renderFxRates();
+      });
+    });
+  }
+
+  addFxRateFromForm() {
+    const codeInput = document.getElementById('fxNewCode');
+    const rateInput = document.getElementById('fxNewRate');
+    if (!codeInput || !rateInput || !this.fxDraft) return;
+    const code = codeInput.value.trim().toUpperCase();
+    const rate = this.parseDecimal(rateInput.value);
+    if (!/^[A-Z]{3}$/.test(code) || !(rate > 0)) {
+      alert('Enter a 3-letter currency code and a positive rate per 1 EUR.');
+      return;
+    }
+    this.fxDraft.fxRates[code] = rate;
+    codeInput.value = '';
+    rateInput.value = '';
+    this.renderFxRates();
+  }
+
+  async handleFxFileUpload(event) {
+    const file = event.target.files[0];
+    if (!file || !this.fxDraft) return;
+    try {
+      const text = await this.readFile(file);
+      const { rates, date } = this.parseFxRatesFile(text);
+      const count = Object.keys(rates).length;
+      if (!count) throw new Error('No rates found');
+      Object.assign(this.fxDraft.fxRates, rates);
+      if (date) this.fxDraft.fxRatesDate = date;
+      this.renderFxRates();
+      alert(`Imported ${count} rate${count === 1 ? '' : 's'}. Press Save to apply.`);
+    } catch (error) {
+      console.error('Error reading FX file:', error);
+      alert('Error reading FX file: ' + error.message);
+    } finally {
+      event.target.value = '';
+    }
+  }
+
+  // Accepts {"USD": 1.08}, {"base": "EUR", "date": "...", "rates": {...}}, [{currency, rate}]
+  // or CSV lines "USD;1,0825". Rates must be per 1 EUR.
+  parseFxRatesFile(text) {
+    const rates = {};
+    let date = '';
+    const add = (code, value) => {
+      const c = String(code || '').trim().toUpperCase();
+      const rate = this.parseDecimal(value);
+      if (/^[A-Z]{3}$/.test(c) && c !== 'EUR' && rate > 0) rates[c] = rate;
+    };
+
+    let json = null;
+    try { json = JSON.parse(text); } catch {}
+    if (json && typeof json === 'object') {
+      if (json.base && String(json.base).toUpperCase() !== 'EUR') throw new Error('Rates must be quoted against EUR');
+      if (Array.isArray(json)) json.forEach(r => add(r.currency || r.code, r.rate));
+      else Object.entries(json.rates || json).forEach(([code, value]) => add(code, value));
+      const iso = json.date ? this.parseGermanDate(json.date) : null;
+      if (iso) date = this.toDateKey(new Date(iso));
+      return { rates, date };
+    }
+
+    this.parseCsv(text).forEach(row => {
+      if (row.length >= 2) add(row[0], row[1]);
+    });
+    return { rates, date };
+  }
+
+  saveFxSettings() {
+    if (!this.fxDraft) return;
+    this.settings.baseCurrency = this.fxDraft.baseCurrency;
+    this.settings.fxRates = { ...this.fxDraft.fxRates, EUR: 1 };
+    this.settings.fxRatesDate = this.fxDraft.fxRatesDate;
+    this.saveSettings();
+    this.closeFxModal();
+    this.calculateStats();
+    this.updateUI();
+  }
+
+  // ---------- German withholding tax ----------
+  isNetIncome() {
+    return this.settings.incomeBasis === 'net';
+  }
+
+  // Fractions of taxable income: Abgeltungsteuer, Soli and church tax.
+  // With church tax the income tax is reduced to e * rate / (1 + rate * k) (§ 32d Abs. 1 EStG).
+  getTaxRates() {
+    const { rate, soli, churchRate } = this.settings.tax;
+    const r = (Number(rate) || 0) / 100;
+    const k = (Number(churchRate) || 0) / 100;
+    const capital = r / (1 + r * k);
+    const rates = { capital, soli: soli ? capital * 0.055 : 0, church: capital * k };
+    rates.total = rates.capital + rates.soli + rates.church;
+    return rates;
+  }
+
+  // Withholding for every coupon of `year`, walked in payment order per depot bank so each
+  // Freistellungsauftrag is used up by the earliest coupons. Amounts are in EUR.
+  getTaxYear(year) {
+    if (this.taxCache.has(year)) return this.taxCache.get(year);
+
+    const rates = this.getTaxRates();
+    const allowances = this.settings.tax.allowanceByBank || {};
+    const byCoupon = new Map();
+    const byBank = {};
+
+    // ETF distributions count against the same allowance, less their Teilfreistellung
+    const payments = [
+      ...this.data.bonds
+        .filter(b => Number.isFinite(Date.parse(b.maturityDate)))
+        .flatMap(b => this.getCouponsInYear(b, year).map(c => ({ bond: b, coupon: c, exempt: 0 }))),
+      ...this.data.etfs
+        .flatMap(e => this.getEtfDistributions(e, year).map(c => ({ bond: e, coupon: c, exempt: (Number(e.partialExemption) || 0) / 100 })))
+    ].sort((a, b) => a.coupon.date - b.coupon.date);
+
+    payments.forEach(({ bond, coupon, exempt: partialExemption }) => {
+      const bank = bond.depotBank || '';
+      if (!byBank[bank]) {
+        byBank[bank] = { bank, gross: 0, allowance: Number(allowances[bank]) || 0, allowanceUsed: 0, taxable: 0, capital: 0, soli: 0, church: 0, tax: 0 };
+      }
+      const row = byBank[bank];
+      const gross = this.convertCurrency(coupon.amount, this.getBondCurrency(bond), 'EUR');
+      const income = gross * (1 - partialExemption);
+      const exempt = Math.max(0, Math.min(income, row.allowance - row.allowanceUsed));
+      const taxable = income - exempt;
+      const tax = taxable * rates.total;
+
+      row.gross += gross;
+      row.allowanceUsed += exempt;
+      row.taxable += taxable;
+      row.capital += taxable * rates.capital;
+      row.soli += taxable * rates.soli;
+      row.church += taxable * rates.church;
+      row.tax += tax;
+      // Keyed by the position object: one ISIN can be held at several banks with different allowances
+      if (!byCoupon.has(bond)) byCoupon.set(bond, new Map());
+      byCoupon.get(bond).set(coupon.date.getTime(), gross > 0 ? tax / gross : 0);
+    });
+
+    const result = { year, byCoupon, byBank: Object.values(byBank).sort((a, b) => a.bank.localeCompare(b.bank)) };
+    this.taxCache.set(year, result);
+    return result;
+  }
+
+  // Tax withheld on one coupon, in the bond's currency
+  getCouponTax(bond, coupon) {
+    const { byCoupon } = this.getTaxYear(coupon.date.getFullYear());
+    const rates = byCoupon.get(bond);
+    return coupon.amount * ((rates && rates.get(coupon.date.getTime())) || 0);
+  }
+
+  // Coupon amount on the selected (or given) gross/net basis, in the bond's currency
+  getCouponIncome(bond, coupon, basis = this.settings.incomeBasis) {
+    return basis === 'net' ? coupon.amount - this.getCouponTax(bond, coupon) : coupon.amount;
+  }
+
+  getIncomeInYear(bond, year, basis = this.settings.incomeBasis) {
+    return this.getCouponsInYear(bond, year).reduce((sum, c) => sum + this.getCouponIncome(bond, c, basis), 0);
+  }
+
+  setIncomeBasis(basis) {
+    this.settings.incomeBasis = basis === 'net' ? 'net' : 'gross';
+    this.saveSettings();
+    this.syncIncomeBasisControls();
+    this.updateCharts();
+    this.renderInterestTimeline();
+  }
+
+  syncIncomeBasisControls() {
+    ['dashboardIncomeBasis', 'interestIncomeBasis'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.value = this.settings.incomeBasis;
+    });
+  }
+
+  createTaxSummary() {
+    const container = document.getElementById('taxSummaryContainer');
+    const yearSelect = document.getElementById('taxYearSelect');
+    if (!container) return;
+
+    const currentYear = this.getAsOfDate().getFullYear();
+    const maxYear = Math.max(currentYear, ...this.data.bonds
+      .map(b => new Date(b.maturityDate).getFullYear())
+      .filter(Number.isFinite));
+    // (ETF distributions have no end date, so the range follows the bond ladder)
+    const years = [];
+    for (let y = currentYear; y <= maxYear; y++) years.push(y);
+    let year = Number(this.filters.dashboard.taxYear) || currentYear;
+    if (!years.includes(year)) year = currentYear;
+
+    if (yearSelect) {
+      yearSelect.innerHTML = years.map(y => `<option value="${y}">${y}</option>`).join('');
+      yearSelect.value = String(year);
+    }
+
+    const { byBank } = this.getTaxYear(year);
+    if (!byBank.length) {
+      container.innerHTML = `<div class="empty-table">No coupons expected in ${year}.</div>`;
+      return;
+    }
+
+    const fmt = (v) => this.formatCurrency(v, 'EUR', { maximumFractionDigits: 0 });
+    const total = byBank.reduce((acc, r) => {
+      ['gross', 'allowanceUsed', 'taxable', 'tax'].forEach(k => { acc[k] += r[k]; });
+      return acc;
+    }, { gross: 0, allowanceUsed: 0, taxable: 0, tax: 0 });
+
+    const rowsHtml = byBank.map(r => `
+      <tr>
+        <td>${this.escapeHtml(r.bank || '—')}</td>
+        <td class="num">${fmt(r.gross)}</td>
+        <td class="num">${fmt(r.allowanceUsed)} / ${fmt(r.allowance)}</td>
+        <td class="num">${fmt(r.tax)}</td>
+        <td class="num">${fmt(r.gross - r.tax)}</td>
+      </tr>
+    `).join('');
+
+    const unallocated = (Number(this.settings.tax.allowance) || 0) -
+      Object.values(this.settings.tax.allowanceByBank || {}).reduce((sum, v) => sum + (Number(v) || 0), 0);
+
+    container.innerHTML = `
+      <table class="table table--no-cards table--compact">
+        <thead>
+          <tr>
+            <th>Depot</th>
+            <th>Gross</th>
+            <th>Allowance</th>
+            <th>Tax</th>
+            <th>Net</th>
+          </tr>
+        </thead>
+        <tbody>${rowsHtml}</tbody>
+        <tfoot>
+          <tr class="total-row">
+            <td>Total</td>
+            <td class="num">${fmt(total.gross)}</td>
+            <td class="num">${fmt(total.allowanceUsed)}</td>
+            <td class="num">${fmt(total.tax)}</td>
+            <td class="num">${fmt(total.gross - total.tax)}</td>
+          </tr>
+        </tfoot>
+      </table>
+      ${unallocated > 0 ? `<p class="muted-copy">${fmt(unallocated)} of the Sparerpauschbetrag is not assigned to a depot and only comes back via the tax return.</p>` : ''}
+    `;
+  }
+
+  openTaxModal() {
+    const modal = document.getElementById('taxModal');
+    if (!modal) return;
+    const tax = this.settings.tax;
+    const set = (id, value) => { const el = document.getElementById(id); if (el) el.value = value; };
+    set('taxRate', String(tax.rate).replace('.', ','));
+    set('taxChurchRate', String(tax.churchRate || 0));
+    set('taxAllowance', String(tax.allowance).replace('.', ','));
+    const soli = document.getElementById('taxSoli');
+    if (soli) soli.checked = !!tax.soli;
+
+    const banksContainer = document.getElementById('taxAllowanceBanks');
+    if (banksContainer) {
+      const banks = [...new Set([
+        ...[...this.data.bonds, ...this.data.etfs].map(b => b.depotBank).filter(Boolean),
+        ...Object.keys(tax.allowanceByBank || {})
+      ])].sort((a, b) => a.localeCompare(b));
+      banksContainer.innerHTML = banks.length ? banks.map(bank => `
+        <div class="form-group">
+          <label class="form-label">${this.escapeHtml(bank)}</label>
+          <input type="text" class="form-control" inputmode="decimal" data-bank="${this.escapeHtml(bank)}" value="${String((tax.allowanceByBank || {})[bank] ?? '').replace('.', ',')}" placeholder="0" />
+        </div>
+      `).join('') : `<p class="muted-copy">Add positions with a depot bank to assign Freistellungsaufträge.</p>`;
+    }
+    modal.classList.remove('hidden');
+  }
+
+  closeTaxModal() {
+    const modal = document.getElementById('taxModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  saveTaxSettings() {
+    const val = (id) => { const el = document.getElementById(id); return el ? el.value : ''; };
+    const rate = this.parseDecimal(val('taxRate'));
+    const allowance = this.parseGermanNumber(val('taxAllowance'));
+    if (rate == null || rate < 0 || rate > 100) {
+      alert('Tax rate must be between 0 and 100%.');
+      return;
+    }
+    if (allowance == null || allowance < 0) {
+      alert('Sparerpauschbetrag must be zero or positive.');
+      return;
+    }
+
+    const allowanceByBank = {};
+    document.querySelectorAll('#taxAllowanceBanks [data-bank]').forEach(input => {
+      const amount = this.parseGermanNumber(input.value);
+      if (amount > 0) allowanceByBank[input.getAttribute('data-bank')] = amount;
+    });
+    const allocated = Object.values(allowanceByBank).reduce((sum, v) => sum + v, 0);
+    if (allocated > allowance + 0.005) {
+      alert(`Freistellungsaufträge (${this.formatCurrency(allocated, 'EUR')}) exceed the Sparerpauschbetrag (${this.formatCurrency(allowance, 'EUR')}).`);
+      return;
+    }
+
+    const soli = document.getElementById('taxSoli');
+    this.settings.tax = {
+      rate,
+      soli: soli ? soli.checked : true,
+      churchRate: Number(val('taxChurchRate')) || 0,
+      allowance,
+      allowanceByBank
+    };
+    this.taxCache.clear();
+    this.saveSettings();
+    this.closeTaxModal();
+    this.updateCharts();
+    this.renderInterestTimeline();
+  }
+
+  // ---------- Reinvestment projection ----------
+  // Year-by-year simulation over the dashboard bonds, in the base currency. Reinvested tranches
+  // pay an annual coupon from the year after purchase up to and including their maturity year.
+  getProjection(basis = this.settings.incomeBasis) {
+    const { rate, tenor, years: horizon, reinvestCoupons } = this.settings.projection;
+    const r = (Number(rate) || 0) / 100;
+    const term = Math.max(1, Math.round(Number(tenor) || 1));
+    const n = Math.max(1, Math.round(Number(horizon) || 1));
+    // Net projections deduct the flat withholding rate; the allowance is already used by the existing bonds
+    const keep = basis === 'net' ? 1 - this.getTaxRates().total : 1;
+    const active = this.getDashboardBonds();
+    const startYear = this.getAsOfDate().getFullYear();
+
+    const tranches = [];
+    const result = { years: [], income: [], principal: [] };
+    for (let Y = startYear; Y < startYear + n; Y++) {
+      const bondIncome = active.reduce((sum, b) => sum + this.toBaseCurrency(this.getIncomeInYear(b, Y, basis), b), 0);
+      const trancheIncome = tranches
+        .filter(t => t.startYear < Y && t.maturityYear >= Y)
+        .reduce((sum, t) => sum + t.principal * r * keep, 0);
+      const income = bondIncome + trancheIncome;
+
+      let maturing = active
+        .filter(b => new Date(b.maturityDate).getFullYear() === Y)
+        .reduce((sum, b) => sum + this.getParInBase(b), 0);
+      maturing += tranches.filter(t => t.maturityYear === Y).reduce((sum, t) => sum + t.principal, 0);
+      const reinvest = maturing + (reinvestCoupons ? income : 0);
+      if (reinvest > 0) tranches.push({ principal: reinvest, startYear: Y, maturityYear: Y + term });
+
+      const outstanding = active
+        .filter(b => new Date(b.maturityDate).getFullYear() > Y)
+        .reduce((sum, b) => sum + this.getParInBase(b), 0) +
+        tranches.filter(t => t.maturityYear > Y).reduce((sum, t) => sum + t.principal, 0);
+
+      result.years.push(Y);
+      result.income.push(income);
+      result.principal.push(outstanding);
+    }
+    return result;
+  }
+
+  syncProjectionControls() {
+    const p = this.settings.projection;
+    const set = (id, value) => { const el = document.getElementById(id); if (el) el.value = value; };
+    const enabled = document.getElementById('projectionEnabled');
+    const coupons = document.getElementById('projectionReinvestCoupons');
+    const fields = document.getElementById('projectionFields');
+    if (enabled) enabled.checked = !!p.enabled;
+    if (coupons) coupons.checked = !!p.reinvestCoupons;
+    if (fields) fields.classList.toggle('hidden', !p.enabled);
+    set('projectionRate', String(p.rate).replace('.', ','));
+    set('projectionTenor', p.tenor);
+    set('projectionYears', p.years);
+  }
+
+  updateProjection(field, value) {
+    const p = this.settings.projection;
+    if (field === 'enabled' || field === 'reinvestCoupons') {
+      p[field] = !!value;
+    } else {
+      // "3.5" is a rate of 3.5%, not 35
+      const n = field === 'rate' ? this.parseDecimal(value) : this.parseGermanNumber(value);
+      const limits = { rate: [-5, 25], tenor: [1, 30], years: [1, 50] }[field];
+      if (n == null || n < limits[0] || n > limits[1]) {
+        this.syncProjectionControls();
+        return;
+      }
+      p[field] = field === 'rate' ? n : Math.round(n);
+    }
+    this.saveSettings();
+    this.syncProjectionControls();
+    this.createInterestChart();
+    this.createGoalPanel();
+  }
+
+  // ---------- Income goals ----------
+  getGoalSteps() {
+    return [...(this.settings.incomeGoal.steps || [])]
+      .filter(s => Number(s.amount) >= 0)
+      .sort((a, b) => (a.fromYear ?? -Infinity) - (b.fromYear ?? -Infinity));
+  }
+
+  // Goal in force in `year` (null when no step applies yet)
+  getIncomeGoal(year) {
+    let goal = null;
+    this.getGoalSteps().forEach(s => {
+      if (s.fromYear == null || s.fromYear <= year) goal = Number(s.amount);
+    });
+    return goal;
+  }
+
+  // Per-year income on the goal's basis vs. the goal, from this year to the last maturity
+  // (or the end of the projection horizon when the projection is on)
+  getGoalComparison() {
+    const basis = this.settings.incomeGoal.basis === 'net' ? 'net' : 'gross';
+    const active = this.getDashboardBonds();
+    const currentYear = this.getAsOfDate().getFullYear();
+    const projection = this.settings.projection.enabled ? this.getProjection(basis) : null;
+    const lastYear = Math.max(
+      currentYear,
+      ...active.map(b => new Date(b.maturityDate).getFullYear()).filter(Number.isFinite),
+      ...(projection ? projection.years : [])
+    );
+
+    const rows = [];
+    for (let Y = currentYear; Y <= lastYear; Y++) {
+      const income = active.reduce((sum, b) => sum + this.toBaseCurrency(this.getIncomeInYear(b, Y, basis), b), 0);
+      const i = projection ? projection.years.indexOf(Y) : -1;
+      const projected = i < 0 ? null : projection.income[i];
+      const goal = this.getIncomeGoal(Y);
+      const compared = projected ?? income;
+      rows.push({ year: Y, income, projected, goal, diff: goal == null ? null : compared - goal });
+    }
+    return { basis, rows };
+  }
+
+  createGoalPanel() {
+    const container = document.getElementById('goalPanelContainer');
+    if (!container) return;
+
+    const { basis, rows } = this.getGoalComparison();
+    if (!rows.some(r => r.goal != null)) {
+      container.innerHTML = `<div class="empty-table">No income goal set.</div>`;
+      return;
+    }
+
+    const fmtBase = (v) => this.formatCurrency(v, this.getBaseCurrency(), { maximumFractionDigits: 0 });
+    const hasProjection = rows.some(r => r.projected != null);
+    const shortfallYears = rows.filter(r => r.diff != null && r.diff < 0).map(r => r.year);
+
+    const rowsHtml = rows.map(r => `
+      <tr class="${r.diff != null && r.diff < 0 ? 'goal-row--shortfall' : ''}">
+        <td>${r.year}</td>
+        <td class="num">${fmtBase(r.income)}</td>
+        ${hasProjection ? `<td class="num">${r.projected == null ? '—' : fmtBase(r.projected)}</td>` : ''}
+        <td class="num">${r.goal == null ? '—' : fmtBase(r.goal)}</td>
+        <td class="num">${r.diff == null ? '—' : `${r.diff >= 0 ? '+' : ''}${fmtBase(r.diff)}`}</td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <p class="muted-copy">${shortfallYears.length
+        ? `Below the ${basis === 'net' ? 'after-tax' : 'gross'} goal in ${shortfallYears.join(', ')}.`
+        : `The ladder meets the ${basis === 'net' ? 'after-tax' : 'gross'} goal in every year.`}</p>
+      <table class="table table--no-cards table--compact">
+        <thead>
+          <tr>
+            <th>Year</th>
+            <th>Income</th>
+            ${hasProjection ? '<th>Projected</th>' : ''}
+            <th>Goal</th>
+            <th>Surplus / Shortfall</th>
+          </tr>
+        </thead>
+        <tbody>${rowsHtml}</tbody>
+      </table>
+    `;
+  }
+
+  openGoalModal() {
+    const modal = document.getElementById('goalModal');
+    if (!modal) return;
+    this.goalDraft = {
+      basis: this.settings.incomeGoal.basis === 'net' ? 'net' : 'gross',
+      steps: this.getGoalSteps().map(s => ({ ...s }))
+    };
+    if (!this.goalDraft.steps.length) this.goalDraft.steps.push({ fromYear: null, amount: 0 });
+    this.renderGoalSteps();
+    modal.classList.remove('hidden');
+  }
+
+  closeGoalModal() {
+    this.goalDraft = null;
+    const modal = document.getElementById('goalModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  renderGoalSteps() {
+    const container = document.getElementById('goalSteps');
+    const basisSelect = document.getElementById('goalBasis');
+    if (!container || !this.goalDraft) return;
+    if (basisSelect) basisSelect.value = this.goalDraft.basis;
+
+    container.innerHTML = `
+      <table class="table table--no-cards table--compact">
+        <thead><tr><th>From year</th><th>Goal per year (${this.getBaseCurrency()})</th><th></th></tr></thead>
+        <tbody>
+          ${this.goalDraft.steps.map((step, i) => `
+            <tr>
+              <td><input type="number" class="form-control" data-goal-index="${i}" data-goal-field="fromYear" value="${step.fromYear ?? ''}" placeholder="Always" min="1900" max="2200" /></td>
+              <td><input type="text" class="form-control" inputmode="decimal" data-goal-index="${i}" data-goal-field="amount" value="${String(step.amount ?? '').replace('.', ',')}" /></td>
+              <td>${this.goalDraft.steps.length > 1 ? `<button type="button" class="btn btn--outline btn--sm" data-remove-goal="${i}">✕</button>` : ''}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    container.querySelectorAll('[data-goal-field]').forEach(input => {
+      input.addEventListener('change', e => {
+        const step = this.goalDraft.steps[Number(e.target.getAttribute('data-goal-index'))];
+        if (!step) return;
+        const field = e.target.getAttribute('data-goal-field');
+        const n = this.parseGermanNumber(e.target.value);
+        step[field] = field === 'fromYear' ? (n == null ? null : Math.round(n)) : n;
+      });
+    });
+    container.querySelectorAll('[data-remove-goal]').forEach(btn => {
+      btn.addEventListener('click', e => {
+        e.preventDefault();
+        this.goalDraft.steps.splice(Number(btn.getAttribute('data-remove-goal')), 1);
+        this.renderGoalSteps();
+      });
+    });
+  }
+
+  addGoalStep() {
+    if (!this.goalDraft) return;
+    const years = this.goalDraft.steps.map(s => s.fromYear).filter(y => y != null);
+    const last = this.goalDraft.steps[this.goalDraft.steps.length - 1];
+    this.goalDraft.steps.push({
+      fromYear: years.length ? Math.max(...years) + 1 : this.getAsOfDate().getFullYear() + 1,
+      amount: last ? last.amount : 0
+    });
+    this.renderGoalSteps();
+  }
+
+  saveGoalSettings() {
+    if (!this.goalDraft) return;
+    const basisSelect = document.getElementById('goalBasis');
+    const steps = this.goalDraft.steps;
+    if (steps.some(s => s.amount == null || s.amount < 0)) {
+      alert('Every goal needs an amount of zero or more.');
+      return;
+    }
+    const years = steps.map(s => s.fromYear ?? 'always');
+    if (new Set(years).size !== years.length) {
+      alert('Each start year may only appear once.');
+      return;
+    }
+    this.settings.incomeGoal = {
+      basis: basisSelect && basisSelect.value === 'net' ? 'net' : 'gross',
+      steps: steps.map(s => ({ fromYear: s.fromYear ?? null, amount: s.amount }))
+    };
+    this.saveSettings();
+    this.closeGoalModal();
+    this.updateCharts();
+  }
+
+  // ---------- Ladder analysis ----------
+  getLadderWeights() {
+    const { profile, years, weights } = this.settings.ladder;
+    const n = Math.max(1, Math.round(Number(years) || 1));
+    return Array.from({ length: n }, (_, i) => {
+      if (profile !== 'custom') return 1;
+      const w = Number((weights || [])[i]);
+      return Number.isFinite(w) && w >= 0 ? w : 1;
+    });
+  }
+
+  // Compares principal maturing per year with the target profile. The ladder starts next year and
+  // the target spreads the whole dashboard principal over it, so principal maturing this year or
+  // beyond the horizon shows up as `outside` and counts as money that can be moved into the gaps.
+  getLadderAnalysis() {
+    const active = this.getDashboardBonds();
+    const byYear = this.getPrincipalByMaturityYear(active);
+    const total = Object.values(byYear).reduce((sum, v) => sum + v, 0);
+    const weights = this.getLadderWeights();
+    const weightSum = weights.reduce((sum, w) => sum + w, 0);
+    const tolerance = (Number(this.settings.ladder.tolerance) || 0) / 100;
+    const startYear = this.getAsOfDate().getFullYear() + 1;
+
+    const rows = weights.map((w, i) => {
+      const year = startYear + i;
+      const actual = byYear[year] || 0;
+      const target = weightSum > 0 ? total * w / weightSum : 0;
+      const diff = actual - target;
+      let status = 'ok';
+      if (target > 0 ? Math.abs(diff) > target * tolerance : actual > 0) status = diff > 0 ? 'over' : 'under';
+      return { year, weight: w, actual, target, diff, status };
+    });
+    const lastYear = startYear + weights.length - 1;
+    const outside = Object.entries(byYear)
+      .filter(([y]) => Number(y) < startYear || Number(y) > lastYear)
+      .reduce((sum, [, v]) => sum + v, 0);
+
+    const gaps = rows.filter(r => r.status === 'under');
+    const surplus = rows.filter(r => r.status === 'over').reduce((sum, r) => sum + r.diff, 0) + outside;
+    const suggestions = gaps.map(r => ({ year: r.year, amount: -r.diff }));
+    return { rows, total, outside, surplus, suggestions };
+  }
+
+  createLadderAnalysis() {
+    const container = document.getElementById('ladderAnalysisContainer');
+    if (!container) return;
+    this.syncLadderControls();
+
+    const { rows, total, outside, surplus, suggestions } = this.getLadderAnalysis();
+    if (total <= 0) {
+      container.innerHTML = `<div class="empty-table">No upcoming maturities.</div>`;
+      return;
+    }
+
+    const custom = this.settings.ladder.profile === 'custom';
+    const fmtBase = (v) => this.formatCurrency(v, this.getBaseCurrency(), { maximumFractionDigits: 0 });
+    const maxValue = Math.max(...rows.map(r => Math.max(r.actual, r.target)), 1);
+    const statusLabel = { over: 'Over', under: 'Under', ok: 'OK' };
+
+    const rowsHtml = rows.map((r, i) => `
+      <tr class="ladder-row--${r.status}">
+        <td>${r.year}</td>
+        ${custom ? `<td><input type="text" class="form-control ladder-weight" inputmode="decimal" data-ladder-weight="${i}" value="${String(r.weight).replace('.', ',')}" aria-label="Weight ${r.year}" /></td>` : ''}
+        <td class="num">${fmtBase(r.actual)}</td>
+        <td class="num">${fmtBase(r.target)}</td>
+        <td class="num">${r.diff >= 0 ? '+' : ''}${fmtBase(r.diff)}</td>
+        <td>
+          <div class="ladder-bar" title="${statusLabel[r.status]}">
+            <span class="ladder-bar__actual" style="width:${(r.actual / maxValue * 100).toFixed(1)}%"></span>
+            <span class="ladder-bar__target" style="left:${(r.target / maxValue * 100).toFixed(1)}%"></span>
+          </div>
+        </td>
+      </tr>
+    `).join('');
+
+    const suggestionsHtml = suggestions.length ? `
+      <h4 class="mt-8">Suggestions</h4>
+      <ul class="ladder-suggestions">
+        ${suggestions.map(s => `<li>Place ${fmtBase(s.amount)} in bonds maturing in ${s.year}.</li>`).join('')}
+      </ul>
+      <p class="muted-copy">Source: ${fmtBase(surplus)} above target${outside > 0 ? `, incl. ${fmtBase(outside)} maturing outside the ladder years` : ''}. Redirect maturing principal from over-weighted years into the gaps instead of reinvesting it in the same year.</p>
+    ` : `<p class="muted-copy">Every ladder year is within ${this.settings.ladder.tolerance}% of its target.</p>`;
+
+    container.innerHTML = `
+      <table class="table table--no-cards table--compact ladder-table">
+        <thead>
+          <tr>
+            <th>Year</th>
+            ${custom ? '<th>Weight</th>' : ''}
+            <th>Actual</th>
+            <th>Target</th>
+            <th>Gap</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rowsHtml}</tbody>
+      </table>
+      ${suggestionsHtml}
+    `;
+
+    container.querySelectorAll('[data-ladder-weight]').forEach(input => {
+      input.addEventListener('change', e => {
+        const i = Number(e.target.getAttribute('data-ladder-weight'));
+        const w = this.parseGermanNumber(e.target.value);
+        const weights = this.getLadderWeights();
+        if (w != null && w >= 0) weights[i] = w;
+        this.settings.ladder.weights = weights;
+        this.saveSettings();
+        this.createLadderAnalysis();
+      });
+    });
+  }
+
+  syncLadderControls() {
+    const profile = document.getElementById('ladderProfile');
+    const years = document.getElementById('ladderYears');
+    const tolerance = document.getElementById('ladderTolerance');
+    if (profile) profile.value = this.settings.ladder.profile === 'custom' ? 'custom' : 'equal';
+    if (years) years.value = this.settings.ladder.years;
+    if (tolerance) tolerance.value = this.settings.ladder.tolerance;
+  }
+
+  updateLadderSetting(field, value) {
+    const ladder = this.settings.ladder;
+    if (field === 'profile') {
+      // Start a custom curve from the profile currently shown
+      if (value === 'custom' && ladder.profile !== 'custom') ladder.weights = this.getLadderWeights();
+      ladder.profile = value === 'custom' ? 'custom' : 'equal';
+    } else {
+      const n = this.parseGermanNumber(value);
+      const limits = { years: [1, 40], tolerance: [0, 100] }[field];
+      if (n != null && n >= limits[0] && n <= limits[1]) ladder[field] = Math.round(n);
+    }
+    this.saveSettings();
+    this.createLadderAnalysis();
+  }
+
+  // ---------- Concentration limits ----------
+  getLimitDimensions() {
+    return [
+      { key: 'issuer', label: 'Issuer', group: b => b.issuer || '—' },
+      { key: 'bank', label: 'Depot bank', group: b => b.depotBank || '—' },
+      { key: 'year', label: 'Maturity year', group: b => String(new Date(b.maturityDate).getFullYear()) }
+    ];
+  }
+
+  // Breaches over `bonds` (the dashboard selection), largest overshoot first
+  getLimitBreaches(bonds) {
+    const total = bonds.reduce((sum, b) => sum + this.getParInBase(b), 0);
+    const breaches = [];
+    if (total <= 0) return breaches;
+
+    this.getLimitDimensions().forEach(dim => {
+      const limit = this.settings.limits[dim.key] || {};
+      const maxPct = Number(limit.maxPct) > 0 ? Number(limit.maxPct) : null;
+      const maxAmount = Number(limit.maxAmount) > 0 ? Number(limit.maxAmount) : null;
+      if (maxPct == null && maxAmount == null) return;
+
+      const groups = new Map();
+      bonds.forEach(b => {
+        const name = dim.group(b);
+        if (!groups.has(name)) groups.set(name, { amount: 0, bonds: [] });
+        const g = groups.get(name);
+        g.amount += this.getParInBase(b);
+        g.bonds.push(b);
+      });
+
+      groups.forEach(({ amount, bonds: members }, name) => {
+        const pct = amount / total * 100;
+        const overPct = maxPct != null && pct > maxPct + 1e-9;
+        const overAmount = maxAmount != null && amount > maxAmount + 0.005;
+        if (!overPct && !overAmount) return;
+        // Express both limits as an amount so breaches can be ranked by how far they are over
+        const cap = Math.min(overPct ? total * maxPct / 100 : Infinity, overAmount ? maxAmount : Infinity);
+        breaches.push({
+          dimension: dim.key,
+          dimensionLabel: dim.label,
+          name,
+          amount,
+          pct,
+          maxPct: overPct ? maxPct : null,
+          maxAmount: overAmount ? maxAmount : null,
+          excess: amount - cap,
+          bonds: members
+        });
+      });
+    });
+    return breaches.sort((a, b) => b.excess - a.excess);
+  }
+
+  describeBreach(breach) {
+    const fmtBase = (v) => this.formatCurrency(v, this.getBaseCurrency(), { maximumFractionDigits: 0 });
+    const limits = [
+      breach.maxPct != null ? `${breach.pct.toFixed(1)}% > ${breach.maxPct}%` : '',
+      breach.maxAmount != null ? `${fmtBase(breach.amount)} > ${fmtBase(breach.maxAmount)}` : ''
+    ].filter(Boolean).join(', ');
+    return `${breach.dimensionLabel} ${breach.name}: ${limits}`;
+  }
+
+  renderAlerts() {
+    const container = document.getElementById('alertsContainer');
+    if (!container) return;
+    const breaches = this.data.stats.limitBreaches || [];
+    const fmtBase = (v) => this.formatCurrency(v, this.getBaseCurrency(), { maximumFractionDigits: 0 });
+
+    if (!breaches.length) {
+      const anyLimit = Object.values(this.settings.limits).some(l => Number(l.maxPct) > 0 || Number(l.maxAmount) > 0);
+      container.innerHTML = `<div class="alerts-ok">${anyLimit ? '✓ All positions are within the concentration limits.' : 'No concentration limits set.'}</div>`;
+      return;
+    }
+    container.innerHTML = `
+      <ul class="alerts-list">
+        ${breaches.map(b => `
+          <li class="alert-item">
+            <div class="alert-title">${this.escapeHtml(this.describeBreach(b))}</div>
+            <div class="alert-meta">${b.bonds.length} position${b.bonds.length === 1 ? '' : 's'} · ${fmtBase(b.excess)} above limit</div>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  openLimitsModal() {
+    const modal = document.getElementById('limitsModal');
+    if (!modal) return;
+    this.getLimitDimensions().forEach(dim => {
+      const limit = this.settings.limits[dim.key] || {};
+      const pct = document.getElementById(`limit-${dim.key}-pct`);
+      const amount = document.getElementById(`limit-${dim.key}-amount`);
+      if (pct) pct.value = limit.maxPct ?? '';
+      if (amount) amount.value = limit.maxAmount != null ? String(limit.maxAmount).replace('.', ',') : '';
+    });
+    modal.querySelectorAll('.limits-currency').forEach(el => { el.textContent = this.getBaseCurrency(); });
+    modal.classList.remove('hidden');
+  }
+
+  closeLimitsModal() {
+    const modal = document.getElementById('limitsModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  saveLimitSettings() {
+    const limits = {};
+    for (const dim of this.getLimitDimensions()) {
+      const pctInput = document.getElementById(`limit-${dim.key}-pct`);
+      const amountInput = document.getElementById(`limit-${dim.key}-amount`);
+      const pct = pctInput && pctInput.value !== '' ? this.parseGermanNumber(pctInput.value) : null;
+      const amount = amountInput && amountInput.value !== '' ? this.parseGermanNumber(amountInput.value) : null;
+      if (pct != null && (pct <= 0 || pct > 100)) {
+        alert(`${dim.label}: the share limit must be between 0 and 100%.`);
+        return;
+      }
+      if (amount != null && amount <= 0) {
+        alert(`${dim.label}: the amount limit must be positive.`);
+        return;
+      }
+      limits[dim.key] = { maxPct: pct, maxAmount: amount };
+    }
+    this.settings.limits = limits;
+    this.saveSettings();
+    this.closeLimitsModal();
+    this.calculateStats();
+    this.updateStats();
+    this.renderBonds();
+  }
+
+  // ---------- Issuer master ----------
+  getRatingBuckets() {
+    return ['AAA', 'AA', 'A', 'BBB', 'BB', 'B', 'CCC and below', 'Not rated'];
+  }
+
+  getSeniorities() {
+    return ['Covered', 'Senior Preferred', 'Senior Non-Preferred', 'Senior Unsecured', 'Subordinated', 'Sovereign'];
+  }
+
+  // "AA-", "Aa3", "BBB+" ... -> S&P-style notch (Moody's notation is mapped); '' if unusable
+  normalizeRating(value) {
+    const s = String(value ?? '').trim();
+    if (!s) return '';
+    const moodys = s.match(/^(Aaa|Aa|A|Baa|Ba|B|Caa|Ca|C)([123])?$/);
+    if (moodys) {
+      const map = { Aaa: 'AAA', Aa: 'AA', A: 'A', Baa: 'BBB', Ba: 'BB', B: 'B', Caa: 'CCC', Ca: 'CC', C: 'C' };
+      const notch = { 1: '+', 2: '', 3: '-' }[moodys[2]] || '';
+      return map[moodys[1]] + (moodys[1] === 'Aaa' ? '' : notch);
+    }
+    const sp = s.toUpperCase().match(/^(AAA|AA|A|BBB|BB|B|CCC|CC|C|D)([+-])?$/);
+    if (sp) return sp[1] + (sp[1] === 'AAA' || sp[1] === 'D' ? '' : sp[2] || '');
+    if (/^(NR|N\/?A|WR|UNRATED|NOT RATED)$/i.test(s)) return 'NR';
+    return '';
+  }
+
+  getRatingBucket(rating) {
+    const r = this.normalizeRating(rating).replace(/[+-]$/, '');
+    if (!r || r === 'NR') return 'Not rated';
+    if (['CCC', 'CC', 'C', 'D'].includes(r)) return 'CCC and below';
+    return r;
+  }
+
+  getIssuerInfo(bond) {
+    return this.data.issuers[String(bond.issuer || '').trim()] || {};
+  }
+
+  getBondRatingBucket(bond) {
+    return this.getRatingBucket(this.getIssuerInfo(bond).rating);
+  }
+
+  // Issuers seen in bonds plus any master entries without bonds (e.g. from an import)
+  getIssuerNames() {
+    return [...new Set([
+      ...this.data.bonds.map(b => String(b.issuer || '').trim()).filter(Boolean),
+      ...Object.keys(this.data.issuers)
+    ])].sort((a, b) => a.localeCompare(b));
+  }
+
+  // Returns a cleaned copy of one master entry; unusable fields are dropped
+  normalizeIssuerInfo(info) {
+    const clean = {};
+    const rating = this.normalizeRating(info.rating);
+    if (rating) clean.rating = rating;
+    const sector = String(info.sector ?? '').trim();
+    if (sector) clean.sector = sector;
+    const country = String(info.country ?? '').trim().toUpperCase();
+    if (/^[A-Z]{2}$/.test(country)) clean.country = country;
+    const seniority = this.getSeniorities().find(x => x.toLowerCase() === String(info.seniority ?? '').trim().toLowerCase());
+    if (seniority) clean.seniority = seniority;
+    return clean;
+  }
+
+  openIssuerModal() {
+    const modal = document.getElementById('issuerModal');
+    if (!modal) return;
+    this.renderIssuerEditor();
+    modal.classList.remove('hidden');
+  }
+
+  closeIssuerModal() {
+    const modal = document.getElementById('issuerModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  renderIssuerEditor() {
+    const container = document.getElementById('issuerEditorContent');
+    if (!container) return;
+    const names = this.getIssuerNames();
+    if (!names.length) {
+      container.innerHTML = `<div class="empty-table">No issuers yet. Add bonds or import an issuer file.</div>`;
+      return;
+    }
+
+    const sectors = [...new Set(Object.values(this.data.issuers).map(i => i.sector).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    const seniorityOptions = (value) => ['', ...this.getSeniorities()]
+      .map(x => `<option value="${x}" ${x === (value || '') ? 'selected' : ''}>${x || '—'}</option>`).join('');
+
+    container.innerHTML = `
+      <datalist id="issuerSectorSuggestions">${sectors.map(x => `<option value="${this.escapeHtml(x)}"></option>`).join('')}</datalist>
+      ${names.map((name, i) => {
+        const info = this.data.issuers[name] || {};
+        return `
+          <div class="issuer-row" data-issuer-index="${i}">
+            <div class="issuer-row-name">${this.escapeHtml(name)}</div>
+            <div class="issuer-row-fields">
+              <input type="text" class="form-control" data-field="rating" value="${this.escapeHtml(info.rating || '')}" placeholder="Rating" aria-label="Rating" />
+              <input type="text" class="form-control" data-field="sector" value="${this.escapeHtml(info.sector || '')}" placeholder="Sector" list="issuerSectorSuggestions" aria-label="Sector" />
+              <input type="text" class="form-control" data-field="country" value="${this.escapeHtml(info.country || '')}" placeholder="Country (DE)" maxlength="2" aria-label="Country" />
+              <select class="form-control" data-field="seniority" aria-label="Seniority">${seniorityOptions(info.seniority)}</select>
+            </div>
+          </div>
+        `;
+      }).join('')}
+    `;
+    this.issuerEditorNames = names;
+  }
+
+  saveIssuerSettings() {
+    const container = document.getElementById('issuerEditorContent');
+    if (!container) return;
+    const invalid = [];
+    const issuers = {};
+    container.querySelectorAll('.issuer-row').forEach(row => {
+      const name = (this.issuerEditorNames || [])[Number(row.getAttribute('data-issuer-index'))];
+      if (!name) return;
+      const raw = {};
+      row.querySelectorAll('[data-field]').forEach(input => { raw[input.getAttribute('data-field')] = input.value; });
+      const clean = this.normalizeIssuerInfo(raw);
+      if (raw.rating.trim() && !clean.rating) invalid.push(`${name}: rating "${raw.rating}"`);
+      if (raw.country.trim() && !clean.country) invalid.push(`${name}: country "${raw.country}"`);
+      if (Object.keys(clean).length) issuers[name] = clean;
+    });
+    if (invalid.length) {
+      alert('Please fix these entries:\n' + invalid.join('\n'));
+      return;
+    }
+    this.applyIssuerMaster(issuers);
+    this.closeIssuerModal();
+  }
+
+  applyIssuerMaster(issuers) {
+    this.data.issuers = issuers;
+    this.saveIssuersToCache();
+    this.updateFilters();
+    this.renderBonds();
+    this.updateCharts();
+  }
+
+  // Accepts [{ issuer | name, rating, sector, country, seniority }] or { "<issuer>": { ... } }.
+  // Imported entries are merged into the master; fields not in the file are kept.
+  async handleIssuerFileUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    try {
+      const data = JSON.parse(await this.readFile(file));
+      const entries = Array.isArray(data)
+        ? data.map(x => [String((x && (x.issuer || x.name)) || '').trim(), x])
+        : Object.entries(data && typeof data === 'object' ? (data.issuers || data) : {});
+      const merged = { ...this.data.issuers };
+      let count = 0;
+      entries.forEach(([name, info]) => {
+        if (!name || !info || typeof info !== 'object') return;
+        const clean = this.normalizeIssuerInfo(info);
+        if (!Object.keys(clean).length) return;
+        merged[name.trim()] = { ...(merged[name.trim()] || {}), ...clean };
+        count++;
+      });
+      if (!count) throw new Error('No usable issuer entries found');
+      this.applyIssuerMaster(merged);
+      this.renderIssuerEditor();
+      alert(`Imported ${count} issuer${count === 1 ? '' : 's'}.`);
+    } catch (error) {
+      console.error('Error reading issuer file:', error);
+      alert('Error reading issuer file: ' + error.message);
+    } finally {
+      event.target.value = '';
+    }
+  }
+
+  // ---------- Reminders ----------
+  // Coupon and maturity events of the next REMINDER_HORIZON_DAYS days, from the same coupon schedule
+  // as the interest timeline. A final coupon paid on the maturity date is folded into the maturity reminder.
+  getReminderEvents(asOf = new Date()) {
+    const r = this.settings.reminders;
+    const today = this.toLocalDay(asOf);
+    const horizon = new Date(today.getFullYear(), today.getMonth(), today.getDate() + this.REMINDER_HORIZON_DAYS);
+    const muted = new Set(r.muted || []);
+    const events = [];
+
+    this.data.bonds.forEach(bond => {
+      const maturity = this.toLocalDay(bond.maturityDate);
+      if (!maturity || maturity < today) return;
+      const key = this.getPositionKey(bond);
+      // Mutes saved before reminders were per position hold the bond key
+      const base = { bond, positionKey: key, currency: this.getBondCurrency(bond), muted: muted.has(key) || muted.has(this.getBondKey(bond)) };
+      const coupons = this.getCouponSchedule(bond).filter(c => c.date >= today && c.date <= horizon);
+      const finalCoupon = coupons.find(c => c.date.getTime() === maturity.getTime());
+
+      if (r.coupons) {
+        coupons.filter(c => c !== finalCoupon || !r.maturities).forEach(c => {
+          events.push({ ...base, id: `${key}|coupon|${this.toDateKey(c.date)}`, type: 'coupon', date: c.date, amount: c.amount });
+        });
+      }
+      if (r.maturities && maturity <= horizon) {
+        events.push({
+          ...base,
+          id: `${key}|maturity|${this.toDateKey(maturity)}`,
+          type: 'maturity',
+          date: maturity,
+          amount: this.getPositionNominal(bond),
+          finalCoupon: finalCoupon && r.coupons ? finalCoupon.amount : 0
+        });
+      }
+    });
+
+    const lead = Math.max(0, Number(r.daysBefore) || 0);
+    return events
+      .map(e => ({ ...e, notifyAt: new Date(e.date.getFullYear(), e.date.getMonth(), e.date.getDate() - lead) }))
+      .sort((a, b) => a.date - b.date || String(a.bond.name || '').localeCompare(String(b.bond.name || '')));
+  }
+
+  describeReminder(e) {
+    const fmt = (v) => this.formatCurrency(v, e.currency, { maximumFractionDigits: 0 });
+    const name = e.bond.name || e.bond.isin || 'Bond';
+    const when = e.date.toLocaleDateString();
+    if (e.type === 'maturity') {
+      return {
+        title: `Maturity: ${name}`,
+        body: `${fmt(e.amount)} principal${e.finalCoupon ? ` + ${fmt(e.finalCoupon)} final coupon` : ''} due on ${when}${e.bond.depotBank ? ` (${e.bond.depotBank})` : ''}. Plan the reinvestment.`
+      };
+    }
+    return {
+      title: `Coupon: ${name}`,
+      body: `${fmt(e.amount)} gross due on ${when}${e.bond.depotBank ? ` (${e.bond.depotBank})` : ''}.`
+    };
+  }
+
+  getNotificationPermission() {
+    return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+  }
+
+  updateReminders() {
+    this.renderReminders();
+    this.syncReminders();
+  }
+
+  renderReminders() {
+    const container = document.getElementById('remindersContainer');
+    const r = this.settings.reminders;
+    const enabled = document.getElementById('remindersEnabled');
+    const days = document.getElementById('remindersDaysBefore');
+    const coupons = document.getElementById('remindersCoupons');
+    const maturities = document.getElementById('remindersMaturities');
+    if (enabled) enabled.checked = !!r.enabled;
+    if (days) days.value = r.daysBefore;
+    if (coupons) coupons.checked = !!r.coupons;
+    if (maturities) maturities.checked = !!r.maturities;
+    if (!container) return;
+
+    // Without Periodic Background Sync (Safari/iOS) the worker only shows reminders when the app
+    // hands them over, i.e. while it is open; the list here is the reliable place to look
+    const permission = this.getNotificationPermission();
+    const background = 'ServiceWorkerRegistration' in window && 'periodicSync' in ServiceWorkerRegistration.prototype;
+    const lead = `${r.daysBefore} day${Number(r.daysBefore) === 1 ? '' : 's'}`;
+    const note = !r.enabled
+      ? 'Notifications are off. The list below shows what is coming up.'
+      : permission === 'granted'
+        ? background
+          ? `Notifications appear ${lead} before each event, when the app is opened and, as far as the browser allows, in the background. The list below is always current.`
+          : `Notifications appear ${lead} before each event when the app is opened; this browser cannot send them in the background. Check the list below.`
+        : permission === 'unsupported'
+          ? 'This browser does not support notifications. Add the app to the home screen to enable them.'
+          : permission === 'denied'
+            ? 'Notifications are blocked. Allow them in the browser or system settings.'
+            : 'Switch "Notify me" off and on again to allow notifications.';
+
+    const events = this.getReminderEvents();
+    const today = this.toLocalDay(new Date());
+    const dayMs = 1000 * 60 * 60 * 24;
+    const items = events.map(e => {
+      const { title, body } = this.describeReminder(e);
+      const inDays = Math.round((e.date - today) / dayMs);
+      return `
+        <li class="reminder-item${e.muted ? ' reminder-item--muted' : ''}">
+          <div>
+            <div class="reminder-title">${e.type === 'maturity' ? '🏁' : '💶'} ${this.escapeHtml(title)}</div>
+            <div class="reminder-meta">${this.escapeHtml(body)} ${inDays === 0 ? 'Today.' : `In ${inDays} day${inDays === 1 ? '' : 's'}.`}</div>
+          </div>
+          <button type="button" class="btn btn--outline btn--sm" data-reminder-mute="${this.escapeHtml(e.positionKey)}">${e.muted ? 'Unmute' : 'Mute'}</button>
+        </li>
+      `;
+    }).join('');
+
+    container.innerHTML = `
+      <p class="muted-copy">${note}</p>
+      ${events.length
+        ? `<ul class="reminder-list">${items}</ul>`
+        : `<div class="empty-table">No coupons or maturities in the next ${this.REMINDER_HORIZON_DAYS} days.</div>`}
+    `;
+    container.querySelectorAll('[data-reminder-mute]').forEach(btn => {
+      btn.addEventListener('click', () => this.toggleReminderMute(btn.getAttribute('data-reminder-mute')));
+    });
+  }
+
+  async updateReminderSetting(field, value) {
+    const r = this.settings.reminders;
+    if (field === 'daysBefore') {
+      const n = this.parseGermanNumber(value);
+      if (n == null || n < 0 || n > 90) {
+        this.renderReminders();
+        return;
+      }
+      r.daysBefore = Math.round(n);
+    } else if (field === 'enabled' && value) {
+      const permission = this.getNotificationPermission();
+      if (permission === 'unsupported') {
+        alert('Notifications are not supported in this browser.');
+        this.renderReminders();
+        return;
+      }
+      if (permission !== 'granted' && (await Notification.requestPermission()) !== 'granted') {
+        alert('Notifications were not allowed, so reminders stay off.');
+        this.renderReminders();
+        return;
+      }
+      r.enabled = true;
+    } else {
+      r[field] = !!value;
+    }
+    this.saveSettings();
+    this.updateReminders();
+  }
+
+  toggleReminderMute(positionKey) {
+    const muted = new Set(this.settings.reminders.muted || []);
+    const bond = this.data.bonds.find(b => this.getPositionKey(b) === positionKey);
+    const legacyKey = bond ? this.getBondKey(bond) : null;
+    if (muted.has(positionKey) || muted.has(legacyKey)) {
+      muted.delete(positionKey);
+      // Unmuting a legacy bond-key mute keeps its same-ISIN twins muted
+      if (legacyKey != null && muted.delete(legacyKey)) {
+        this.data.bonds.filter(b => b !== bond && this.getBondKey(b) === legacyKey).forEach(b => muted.add(this.getPositionKey(b)));
+      }
+    } else {
+      muted.add(positionKey);
+    }
+    this.settings.reminders.muted = [...muted];
+    this.saveSettings();
+    this.updateReminders();
+  }
+
+  // Hands the pending reminders to the service worker, which shows them once they are due
+  // (on each app start and, where supported, on periodic background sync).
+  syncReminders() {
+    if (!('serviceWorker' in navigator)) return;
+    const r = this.settings.reminders;
+    const reminders = r.enabled && this.getNotificationPermission() === 'granted'
+      ? this.getReminderEvents().filter(e => !e.muted).map(e => ({
+        id: e.id,
+        ...this.describeReminder(e),
+        notifyAt: e.notifyAt.getTime(),
+        eventAt: e.date.getTime()
+      }))
+      : [];
+    navigator.serviceWorker.ready.then(reg => {
+      if (reg.active) reg.active.postMessage({ type: 'reminders', reminders });
+      if (reminders.length && reg.periodicSync) {
+        reg.periodicSync.register('bond-reminders', { minInterval: 12 * 60 * 60 * 1000 }).catch(() => {});
+      }
+    }).catch(e => console.warn('Failed to sync reminders:', e));
+  }
+
+  // ---------- Transaction ledger ----------
+  // bond.transactions: [{ id, type: 'buy' | 'sell' | 'coupon' | 'redemption', date: 'YYYY-MM-DD',
+  // nominal, price (% of par), fees, amount (gross coupon received) }]. When present, the ledger is the
+  // source of the nominal and cost (average cost, buy fees included) as of the as-of date; the stored
+  // parValue / initialPrice only serve as the fallback once every transaction is deleted.
+  hasLedger(bond) {
+    return Array.isArray(bond.transactions) && bond.transactions.length > 0;
+  }
+
+  getTransactionTypes() {
+    return { buy: 'Buy', sell: 'Sell', coupon: 'Coupon', redemption: 'Redemption' };
+  }
+
+  // Returns a cleaned transaction or null when it is unusable
+  normalizeTransaction(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const aliases = { kauf: 'buy', verkauf: 'sell', zins: 'coupon', zinsen: 'coupon', tilgung: 'redemption', rueckzahlung: 'redemption' };
+    const rawType = String(raw.type || '').trim().toLowerCase();
+    const type = this.getTransactionTypes()[rawType] ? rawType : aliases[rawType];
+    const iso = raw.date ? this.parseGermanDate(raw.date) : null;
+    if (!type || !iso) return null;
+    const num = (v) => (v == null || v === '' ? null : (typeof v === 'number' ? (Number.isFinite(v) ? v : null) : this.parseGermanNumber(v)));
+    const nominal = num(raw.nominal);
+    // Prices are % of par, so "101.250" is 101.25 and anything from 1000 up is a typo
+    const price = raw.price == null || raw.price === '' ? null : this.parseDecimal(raw.price);
+    if (price != null && !(price > 0 && price < 1000)) return null;
+    const fees = num(raw.fees) || 0;
+    const amount = num(raw.amount);
+    if (fees < 0) return null;
+
+    const tx = { id: raw.id ? String(raw.id) : this.generateBondId(), type, date: this.toDateKey(new Date(iso)) };
+    if (type === 'coupon') {
+      if (!(amount > 0)) return null;
+      tx.amount = amount;
+    } else {
+      if (!(nominal > 0)) return null;
+      tx.nominal = nominal;
+      if (type === 'redemption') tx.price = price > 0 ? price : 100;
+      else if (price > 0) tx.price = price;
+      else return null;
+    }
+    if (fees) tx.fees = fees;
+    return tx;
+  }
+
+  // Average-cost position from the transactions up to `asOf` (`null` for the whole ledger)
+  getLedgerPosition(bond, asOf = this.getAsOfDate()) {
+    const day = asOf ? this.toDateKey(asOf) : null;
+    const pos = { nominal: 0, cost: 0, realised: 0, coupons: 0, fees: 0, proceeds: 0, invested: 0, firstBuy: null, lastExit: null };
+    this.sortTransactions((bond.transactions || []).filter(t => !day || t.date <= day))
+      .forEach(t => {
+        const fees = Number(t.fees) || 0;
+        pos.fees += fees;
+        if (t.type === 'buy') {
+          const cost = t.nominal * t.price / 100 + fees;
+          pos.nominal += t.nominal;
+          pos.cost += cost;
+          pos.invested += cost;
+          if (!pos.firstBuy) pos.firstBuy = t.date;
+        } else if (t.type === 'coupon') {
+          pos.coupons += t.amount;
+        } else {
+          const nominal = Math.min(t.nominal, pos.nominal);
+          const costOut = pos.nominal > 0 ? pos.cost * nominal / pos.nominal : 0;
+          const proceeds = nominal * t.price / 100 - fees;
+          pos.realised += proceeds - costOut;
+          pos.proceeds += proceeds;
+          pos.nominal -= nominal;
+          pos.cost -= costOut;
+          pos.lastExit = t.date;
+        }
+      });
+    if (pos.nominal < 1e-6) {
+      pos.nominal = 0;
+      pos.cost = 0;
+    }
+    pos.averagePrice = pos.nominal > 0 ? pos.cost / pos.nominal * 100 : null;
+    return pos;
+  }
+
+  // Chronological, buys first within a day
+  sortTransactions(transactions) {
+    return [...transactions].sort((a, b) => a.date.localeCompare(b.date) || (a.type === 'buy' ? -1 : 0) - (b.type === 'buy' ? -1 : 0));
+  }
+
+  // First sell or redemption larger than the nominal held at that point ({ tx, held }), or null.
+  // getLedgerPosition would quietly cap it, so changes that produce one are rejected instead.
+  findLedgerOversell(transactions) {
+    let held = 0;
+    for (const t of this.sortTransactions(transactions)) {
+      if (t.type === 'buy') held += t.nominal;
+      else if (t.type === 'sell' || t.type === 'redemption') {
+        if (t.nominal > held + 1e-6) return { tx: t, held };
+        held -= t.nominal;
+      }
+    }
+    return null;
+  }
+
+  describeOversell(bond, { tx, held }) {
+    const fmt = (v) => this.formatCurrency(v, this.getBondCurrency(bond));
+    return `The ${this.getTransactionTypes()[tx.type].toLowerCase()} of ${fmt(tx.nominal)} on ${this.fromDateKey(tx.date).toLocaleDateString()} would exceed the ${fmt(held)} nominal held then.`;
+  }
+
+  // Nominal held as of `asOf`: every calculation reads the position through these getters, so
+  // ledger-derived values never end up in the stored record
+  getPositionNominal(bond, asOf = this.getAsOfDate()) {
+    if (!this.hasLedger(bond)) return Number(bond.parValue) || 0;
+    return this.getLedgerPosition(bond, asOf).nominal;
+  }
+
+  // Clean amount paid for the nominal held (NaN when unknown or nothing is held)
+  getPositionCost(bond, asOf = this.getAsOfDate()) {
+    if (!this.hasLedger(bond)) return Number(bond.initialPrice);
+    const pos = this.getLedgerPosition(bond, asOf);
+    return pos.nominal > 0 ? Math.round(pos.cost * 100) / 100 : NaN;
+  }
+
+  // Stored purchase date, otherwise the first buy of the ledger (ISO string or null)
+  getPurchaseDate(bond) {
+    if (bond.purchaseDate && Number.isFinite(Date.parse(bond.purchaseDate))) return bond.purchaseDate;
+    const firstBuy = this.hasLedger(bond) ? this.getLedgerPosition(bond, null).firstBuy : null;
+    return firstBuy ? this.fromDateKey(firstBuy).toISOString() : null;
+  }
+
+  // The ledger of a bond; a position without one is expressed as an opening buy of what is held,
+  // so sells, top-ups and merged ledgers have something to act on
+  getLedgerTransactions(bond) {
+    if (this.hasLedger(bond)) return bond.transactions;
+    const par = Number(bond.parValue);
+    if (!(par > 0)) return [];
+    const opening = bond.purchaseDate && Number.isFinite(Date.parse(bond.purchaseDate))
+      ? this.toDateKey(new Date(bond.purchaseDate))
+      : this.toDateKey(this.getAsOfDate());
+    const cost = Number(bond.initialPrice);
+    return [{
+      id: this.generateBondId(),
+      type: 'buy',
+      date: opening,
+      nominal: par,
+      price: Number.isFinite(cost) && cost > 0 ? Math.round(cost / par * 1e6) / 1e4 : 100
+    }];
+  }
+
+  addTransaction(bond, raw) {
+    const tx = this.normalizeTransaction(raw);
+    if (!tx) {
+      alert('Buys and sells need a date, a nominal and a price (% of par, e.g. 101.25); coupons need a date and an amount.');
+      return false;
+    }
+    // The opening buy needs a real date, or every coupon before it would drop out of the history
+    if (!this.hasLedger(bond) && Number(bond.parValue) > 0 && !Number.isFinite(Date.parse(bond.purchaseDate))) {
+      alert('Set the purchase date of this position in the editor first; it dates the opening buy of the ledger.');
+      return false;
+    }
+    // Replays the whole ledger, so a back-dated sell cannot push a later one past the position
+    const transactions = [...this.getLedgerTransactions(bond), tx];
+    const oversell = this.findLedgerOversell(transactions);
+    if (oversell) {
+      alert(this.describeOversell(bond, oversell));
+      return false;
+    }
+    bond.transactions = transactions;
+    return true;
+  }
+
+  addTransactionFromForm(bond) {
+    const value = (id) => { const el = document.getElementById(id); return el ? el.value.trim() : ''; };
+    const raw = {
+      type: value('txType'),
+      date: value('txDate'),
+      nominal: value('txNominal'),
+      price: value('txPrice'),
+      fees: value('txFees'),
+      amount: value('txAmount')
+    };
+    if (!this.addTransaction(bond, raw)) return;
+    this.commitBondChanges(`${this.getTransactionTypes()[raw.type]} ${bond.name}`);
+    this.showBondDetails(bond);
+  }
+
+  deleteTransaction(bond, id) {
+    const tx = (bond.transactions || []).find(t => t.id === id);
+    if (!tx) return;
+    // Without transactions the bond becomes a plain position holding what the ledger ended with
+    const last = bond.transactions.length === 1 ? this.getLedgerPosition(bond, null) : null;
+    if (last && !(last.nominal > 0) && !(Number(bond.parValue) > 0)) {
+      alert('This is the last transaction of a closed position. Delete the bond instead.');
+      return;
+    }
+    const oversell = this.findLedgerOversell(bond.transactions.filter(t => t !== tx));
+    if (oversell) {
+      alert(`This transaction cannot be deleted. ${this.describeOversell(bond, oversell)}`);
+      return;
+    }
+    if (!confirm(`Delete this ${this.getTransactionTypes()[tx.type].toLowerCase()} from ${this.fromDateKey(tx.date).toLocaleDateString()}?`)) return;
+    bond.transactions = bond.transactions.filter(t => t !== tx);
+    if (last) {
+      delete bond.transactions;
+      if (last.nominal > 0) {
+        bond.parValue = last.nominal;
+        bond.initialPrice = Math.round(last.cost * 100) / 100;
+      }
+    }
+    this.commitBondChanges(`Deleted transaction of ${bond.name}`);
+    this.showBondDetails(bond);
+  }
+
+  renderLedgerSection(bond, currency) {
+    const types = this.getTransactionTypes();
+    const fmt = (v) => this.formatCurrency(v, currency);
+    const ledger = this.hasLedger(bond);
+    const pos = ledger ? this.getLedgerPosition(bond) : null;
+    const rows = ledger
+      ? [...bond.transactions].sort((a, b) => b.date.localeCompare(a.date)).map(t => `
+        <tr>
+          <td>${this.fromDateKey(t.date).toLocaleDateString()}</td>
+          <td>${types[t.type]}</td>
+          <td class="num">${t.type === 'coupon' ? fmt(t.amount) : `${fmt(t.nominal)} @ ${t.price.toFixed(3)}`}${t.fees ? ` <span class="detail-sub">fees ${fmt(t.fees)}</span>` : ''}</td>
+          <td><button type="button" class="price-delete" data-tx-id="${this.escapeHtml(t.id)}" aria-label="Delete transaction">&times;</button></td>
+        </tr>
+      `).join('')
+      : '';
+    return `
+      <div class="detail-section">
+        <h4>Transactions</h4>
+        ${ledger ? `
+        <div class="detail-item"><div class="detail-label">Nominal Held</div><div class="detail-value">${fmt(pos.nominal)}</div></div>
+        <div class="detail-item"><div class="detail-label">Average Price</div><div class="detail-value">${pos.averagePrice != null ? pos.averagePrice.toFixed(3) : '—'}</div></div>
+        <div class="detail-item"><div class="detail-label">Realised Gains</div><div class="detail-value"><span class="${pos.realised < 0 ? 'pnl--loss' : 'pnl--gain'}">${fmt(pos.realised)}</span></div></div>
+        <div class="detail-item"><div class="detail-label">Coupons Received</div><div class="detail-value">${fmt(pos.coupons)}</div></div>
+        <table class="table table--no-cards ledger-table"><tbody>${rows}</tbody></table>
+        ` : '<p class="muted-copy">No transactions yet. The first one starts a ledger with the current position as opening buy.</p>'}
+        <div class="ledger-entry">
+          <select class="form-control" id="txType" aria-label="Transaction type">
+            ${Object.entries(types).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+          </select>
+          <input type="date" class="form-control" id="txDate" value="${this.toDateKey(this.getAsOfDate())}" aria-label="Date" />
+          <input type="text" class="form-control" id="txNominal" inputmode="decimal" placeholder="Nominal" aria-label="Nominal" />
+          <input type="text" class="form-control" id="txPrice" inputmode="decimal" placeholder="Price %" aria-label="Price in % of par" />
+          <input type="text" class="form-control" id="txFees" inputmode="decimal" placeholder="Fees" aria-label="Fees" />
+          <input type="text" class="form-control" id="txAmount" inputmode="decimal" placeholder="Coupon amount" aria-label="Coupon amount received" />
+          <button type="button" class="btn btn--outline btn--sm" id="addTxBtn">Add</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // ---------- Realised performance ----------
+  // Closed positions as of the as-of date: matured bonds, ledger positions that were sold out and the
+  // sold part of ledger positions still held. Amounts are in the bond currency; cost is null when the
+  // purchase amount is unknown.
+  getClosedPositions(asOf = this.getAsOfDate()) {
+    const dayMs = 1000 * 60 * 60 * 24;
+    return this.data.bonds.map(bond => {
+      const maturity = this.toLocalDay(bond.maturityDate);
+      const matured = !!maturity && maturity <= asOf;
+      const ledger = this.hasLedger(bond);
+      const pos = ledger ? this.getLedgerRealised(bond, asOf) : null;
+      const soldOut = ledger && pos.held === 0 && !!pos.lastExit;
+      const partial = ledger && !matured && !soldOut && pos.nominal > 0;
+      if (!matured && !soldOut && !partial) return null;
+      if (ledger && !pos.firstBuy) return null;
+
+      let cost = null;
+      let proceeds;
+      let coupons = null;
+      let estimated = false;
+      let entry = null;
+      let exit;
+      if (ledger) {
+        // Nominal still held at maturity without a recorded redemption is repaid at par
+        const redeemed = matured ? pos.held : 0;
+        cost = pos.cost + (matured ? pos.heldCost : 0);
+        proceeds = pos.proceeds + redeemed;
+        coupons = pos.coupons + (matured ? pos.heldCoupons : 0);
+        estimated = pos.estimated;
+        entry = this.fromDateKey(pos.firstBuy);
+        exit = matured && !soldOut ? maturity : this.fromDateKey(pos.lastExit);
+      } else {
+        const paid = Number(bond.initialPrice);
+        cost = Number.isFinite(paid) && paid > 0 ? paid : null;
+        proceeds = Number(bond.parValue) || 0;
+        entry = bond.purchaseDate ? this.toLocalDay(bond.purchaseDate) : null;
+        exit = maturity;
+        // Without a purchase date the coupons received (and so the total return) are unknown
+        if (entry) {
+          coupons = this.getCouponsReceived(bond, entry, exit);
+          estimated = true;
+        }
+      }
+
+      const result = cost != null && coupons != null ? proceeds + coupons - cost : null;
+      const days = entry ? (exit - entry) / dayMs : null;
+      const annualised = result != null && cost > 0 && days > 0
+        ? Math.pow(1 + result / cost, 365 / days) - 1
+        : null;
+      const status = soldOut ? 'Sold' : matured ? 'Matured' : 'Partly sold';
+      return { bond, status, entry, exit, cost, proceeds, coupons, couponsEstimated: estimated, result, annualised };
+    }).filter(Boolean).sort((a, b) => b.exit - a.exit);
+  }
+
+  // Scheduled coupons of a position without a ledger paid after `entry` up to `exit`
+  getCouponsReceived(bond, entry, exit) {
+    return this.buildCouponSchedule(bond, Number(bond.parValue) || 0)
+      .filter(c => c.date > entry && c.date <= exit)
+      .reduce((sum, c) => sum + c.amount, 0);
+  }
+
+  // Replays a ledger up to `asOf` on average cost. Coupons paid up to then are pooled with the nominal
+  // held and leave the pool pro rata with each sell or redemption, like the cost does, so `cost`,
+  // `proceeds` and `coupons` belong to the `nominal` sold and the held* fields to what is left.
+  getLedgerRealised(bond, asOf = this.getAsOfDate()) {
+    const day = this.toDateKey(asOf);
+    const rank = { buy: 0, sell: 1, redemption: 1, coupon: 2 };
+    const events = [
+      ...bond.transactions.filter(t => t.type !== 'coupon' && t.date <= day),
+      ...this.getLedgerCoupons(bond)
+        .map(c => ({ type: 'coupon', date: this.toDateKey(c.date), amount: c.amount, received: !!c.received }))
+        .filter(c => c.date <= day)
+    ].sort((a, b) => a.date.localeCompare(b.date) || rank[a.type] - rank[b.type]);
+
+    const pos = { nominal: 0, cost: 0, proceeds: 0, coupons: 0, estimated: false, held: 0, heldCost: 0, heldCoupons: 0, heldEstimated: false, firstBuy: null, lastExit: null };
+    events.forEach(t => {
+      const fees = Number(t.fees) || 0;
+      if (t.type === 'buy') {
+        pos.held += t.nominal;
+        pos.heldCost += t.nominal * t.price / 100 + fees;
+        if (!pos.firstBuy) pos.firstBuy = t.date;
+      } else if (t.type === 'coupon') {
+        // A coupon booked after the position was sold out still belongs to the sold nominal
+        if (pos.held > 0) {
+          pos.heldCoupons += t.amount;
+          if (!t.received) pos.heldEstimated = true;
+        } else if (pos.lastExit) {
+          pos.coupons += t.amount;
+          if (!t.received) pos.estimated = true;
+        }
+      } else {
+        const nominal = Math.min(t.nominal, pos.held);
+        const share = pos.held > 0 ? nominal / pos.held : 0;
+        pos.nominal += nominal;
+        pos.cost += pos.heldCost * share;
+        pos.coupons += pos.heldCoupons * share;
+        pos.proceeds += nominal * t.price / 100 - fees;
+        if (share > 0 && pos.heldEstimated) pos.estimated = true;
+        pos.held -= nominal;
+        pos.heldCost -= pos.heldCost * share;
+        pos.heldCoupons -= pos.heldCoupons * share;
+        pos.lastExit = t.date;
+        if (pos.held < 1e-6) {
+          pos.held = 0;
+          pos.heldCost = 0;
+          pos.heldCoupons = 0;
+          pos.heldEstimated = false;
+        }
+      }
+    });
+    return pos;
+  }
+
+  // Per-year (of exit), issuer and depot bank totals in the base currency. Positions without a known
+  // return count towards proceeds and coupons only.
+  aggregatePerformance(positions, groupOf) {
+    const groups = {};
+    positions.forEach(p => {
+      const key = groupOf(p);
+      if (!groups[key]) groups[key] = { key, count: 0, cost: 0, proceeds: 0, coupons: 0, result: 0, costKnown: 0 };
+      const g = groups[key];
+      g.count++;
+      g.proceeds += this.toBaseCurrency(p.proceeds, p.bond);
+      g.coupons += this.toBaseCurrency(p.coupons || 0, p.bond);
+      if (p.result != null) {
+        g.cost += this.toBaseCurrency(p.cost, p.bond);
+        g.result += this.toBaseCurrency(p.result, p.bond);
+        g.costKnown++;
+      }
+    });
+    return Object.values(groups);
+  }
+
+  renderPerformance() {
+    const container = document.getElementById('performanceContainer');
+    if (!container) return;
+    const positions = this.getClosedPositions();
+    if (!positions.length) {
+      container.innerHTML = `<div class="empty-table">No matured or sold positions yet.</div>`;
+      return;
+    }
+
+    const base = this.getBaseCurrency();
+    const fmt = (v, currency = base) => this.formatCurrency(v, currency, { maximumFractionDigits: 0 });
+    const fmtPct = (v) => (v == null ? '—' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(2)}%`);
+    const signed = (v, currency) => (v == null ? '—' : `<span class="${v < 0 ? 'pnl--loss' : 'pnl--gain'}">${v >= 0 ? '+' : ''}${fmt(v, currency)}</span>`);
+
+    const positionRows = positions.map((p, i) => {
+      const currency = this.getBondCurrency(p.bond);
+      return `
+        <tr data-position-index="${i}">
+          <td data-label="Bond">${this.escapeHtml(p.bond.name || p.bond.isin || '—')}<div class="detail-sub">${p.status} ${p.exit.toLocaleDateString()}${p.entry ? ` · held since ${p.entry.toLocaleDateString()}` : ''}</div></td>
+          <td class="num" data-label="Cost">${p.cost != null ? fmt(p.cost, currency) : '—'}</td>
+          <td class="num" data-label="Redemption / Sale">${fmt(p.proceeds, currency)}</td>
+          <td class="num" data-label="Coupons">${p.coupons == null ? '—' : `${p.couponsEstimated ? '≈ ' : ''}${fmt(p.coupons, currency)}`}</td>
+          <td class="num" data-label="Return">${signed(p.result, currency)}</td>
+          <td class="num" data-label="p.a.">${fmtPct(p.annualised)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    const groupTable = (label, groups, sortRows) => {
+      const rows = groups.sort(sortRows).map(g => `
+        <tr>
+          <td data-label="${label}">${this.escapeHtml(g.key)}</td>
+          <td class="num" data-label="Positions">${g.count}</td>
+          <td class="num" data-label="Cost (${base})">${g.costKnown ? fmt(g.cost) : '—'}</td>
+          <td class="num" data-label="Coupons (${base})">${fmt(g.coupons)}</td>
+          <td class="num" data-label="Return (${base})">${g.costKnown ? signed(g.result) : '—'}</td>
+          <td class="num" data-label="Return %">${g.costKnown && g.cost > 0 ? fmtPct(g.result / g.cost) : '—'}</td>
+        </tr>
+      `).join('');
+      return `
+        <table class="table table--no-cards">
+          <thead>
+            <tr><th>${label}</th><th>Positions</th><th>Cost (${base})</th><th>Coupons (${base})</th><th>Return (${base})</th><th>Return %</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    };
+
+    const [total] = this.aggregatePerformance(positions, () => 'Total');
+    const unknownCost = positions.filter(p => p.result == null).length;
+    container.innerHTML = `
+      <div class="performance-summary">
+        <div><div class="detail-label">Closed positions</div><div class="detail-value">${total.count}</div></div>
+        <div><div class="detail-label">Total return</div><div class="detail-value">${total.costKnown ? signed(total.result) : '—'}</div></div>
+        <div><div class="detail-label">Return on cost</div><div class="detail-value">${total.costKnown && total.cost > 0 ? fmtPct(total.result / total.cost) : '—'}</div></div>
+      </div>
+      ${unknownCost ? `<p class="muted-copy">${unknownCost} position${unknownCost === 1 ? ' has' : 's have'} no purchase amount or date and ${unknownCost === 1 ? 'is' : 'are'} left out of cost and return.</p>` : ''}
+      <h4 class="mt-8">Positions</h4>
+      <table class="table table--no-cards performance-table">
+        <thead>
+          <tr><th>Bond</th><th>Cost</th><th>Redemption / Sale</th><th>Coupons</th><th>Return</th><th>p.a.</th></tr>
+        </thead>
+        <tbody>${positionRows}</tbody>
+      </table>
+      <h4 class="mt-8">By Year</h4>
+      ${groupTable('Year', this.aggregatePerformance(positions, p => String(p.exit.getFullYear())), (a, b) => b.key.localeCompare(a.key))}
+      <h4 class="mt-8">By Issuer</h4>
+      ${groupTable('Issuer', this.aggregatePerformance(positions, p => p.bond.issuer || '—'), (a, b) => b.result - a.result)}
+      <h4 class="mt-8">By Depot Bank</h4>
+      ${groupTable('Depot', this.aggregatePerformance(positions, p => p.bond.depotBank || '—'), (a, b) => b.result - a.result)}
+      ${positions.some(p => p.couponsEstimated) ? '<p class="muted-copy">≈ Coupons from the schedule where no coupon payments were recorded.</p>' : ''}
+    `;
+    container.querySelectorAll('[data-position-index]').forEach(row => {
+      row.addEventListener('click', () => this.showBondDetails(positions[Number(row.getAttribute('data-position-index'))].bond));
+    });
+  }
+
+  // ---------- Market prices ----------
+  // Prices are quoted per ISIN, so positions in the same bond at different banks share one history
+  getPriceKey(bond) {
+    const isin = String(bond.isin || '').trim().toUpperCase();
+    return isin || this.getBondKey(bond);
+  }
+
+  getPriceHistory(bond) {
+    return this.data.prices[this.getPriceKey(bond)] || [];
+  }
+
+  // Latest clean price on or before the as-of date
+  getMarketPrice(bond, asOf = this.getAsOfDate()) {
+    const day = this.toDateKey(asOf);
+    const history = this.getPriceHistory(bond);
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].date <= day) return history[i];
+    }
+    return null;
+  }
+
+  // Clean market value in the bond currency, or null without a price
+  getMarketValue(bond) {
+    const quote = this.getMarketPrice(bond);
+    return quote ? this.getPositionNominal(bond) * quote.price / 100 : null;
+  }
+
+  // Market value against the clean purchase amount (`initialPrice`), in the bond currency
+  getUnrealisedPnl(bond) {
+    const value = this.getMarketValue(bond);
+    const cost = this.getPositionCost(bond);
+    return value != null && Number.isFinite(cost) && cost > 0 ? value - cost : null;
+  }
+
+  getCurrentYield(bond) {
+    const quote = this.getMarketPrice(bond);
+    return quote && quote.price > 0 ? (Number(bond.couponRate) || 0) / quote.price * 100 : null;
+  }
+
+  // Same-day entries replace each other; returns false for an unusable price or date
+  addPrice(key, date, price) {
+    if (!key || !/^\d{4}-\d{2}-\d{2}$/.test(date) || !(price > 0 && price < 1000)) return false;
+    const history = (this.data.prices[key] || []).filter(p => p.date !== date);
+    history.push({ date, price });
+    history.sort((a, b) => a.date.localeCompare(b.date));
+    this.data.prices[key] = history;
+    return true;
+  }
+
+  applyPriceChanges() {
+    this.savePricesToCache();
+    this.calculateStats();
+    this.updateUI();
+  }
+
+  saveManualPrice(bond) {
+    const priceInput = document.getElementById('detailPriceInput');
+    const dateInput = document.getElementById('detailPriceDate');
+    if (!priceInput || !dateInput) return;
+    const price = this.parseDecimal(priceInput.value);
+    if (!this.addPrice(this.getPriceKey(bond), dateInput.value, price)) {
+      alert('Please enter a clean price in % of par (e.g. 98,75) and a date.');
+      return;
+    }
+    this.applyPriceChanges();
+    this.showBondDetails(bond);
+  }
+
+  deletePrice(bond, date) {
+    const key = this.getPriceKey(bond);
+    const history = (this.data.prices[key] || []).filter(p => p.date !== date);
+    if (history.length) this.data.prices[key] = history;
+    else delete this.data.prices[key];
+    this.applyPriceChanges();
+    this.showBondDetails(bond);
+  }
+
+  // Accepts [{ isin, price, date }], { "date": "...", "prices": { "<ISIN>": 98.5 | { price, date } } },
+  // a bare { "<ISIN>": ... } map or CSV lines "ISIN;Kurs;Datum". Entries without a date count as today.
+  parsePricesFile(text) {
+    const today = this.toDateKey(new Date());
+    const entries = [];
+    const toDay = (value, fallback) => {
+      const iso = value ? this.parseGermanDate(value) : null;
+      return iso ? this.toDateKey(new Date(iso)) : fallback;
+    };
+    // Clean prices are % of par, so "99.875" is a decimal; unusable ones are kept for the report
+    const add = (isin, price, date) => {
+      entries.push({ isin: String(isin || '').trim().toUpperCase(), price: this.parseDecimal(price), raw: price, date });
+    };
+
+    let json = null;
+    try { json = JSON.parse(text); } catch {}
+    if (json && typeof json === 'object') {
+      if (Array.isArray(json)) {
+        json.forEach(r => r && add(r.isin, r.price ?? r.cleanPrice ?? r.kurs, toDay(r.date, today)));
+      } else {
+        const fileDate = toDay(json.date, today);
+        Object.entries(json.prices || json).forEach(([isin, value]) => {
+          if (isin === 'date') return;
+          if (value && typeof value === 'object') add(isin, value.price ?? value.cleanPrice, toDay(value.date, fileDate));
+          else add(isin, value, fileDate);
+        });
+      }
+    } else {
+      this.parseCsv(text).forEach(row => {
+        if (row.length >= 2 && this.isValidIsin(String(row[0]).trim())) add(row[0], row[1], toDay(row[2], today));
+      });
+    }
+    return entries.filter(e => e.isin);
+  }
+
+  async handlePricesFileUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    try {
+      const entries = this.parsePricesFile(await this.readFile(file));
+      if (!entries.length) throw new Error('No prices found');
+      const known = new Set(this.data.bonds.map(b => String(b.isin || '').trim().toUpperCase()).filter(Boolean));
+      const unknown = [...new Set(entries.filter(e => !known.has(e.isin)).map(e => e.isin))];
+      const rejected = [];
+      const count = entries.filter(e => {
+        if (!known.has(e.isin)) return false;
+        if (this.addPrice(e.isin, e.date, e.price)) return true;
+        rejected.push(`${e.isin} (${e.raw ?? '—'})`);
+        return false;
+      }).length;
+      const skipped = [
+        unknown.length ? `Skipped unknown ISINs: ${unknown.join(', ')}` : '',
+        rejected.length ? `Rejected prices (expected % of par, e.g. 99.875): ${rejected.join(', ')}` : ''
+      ].filter(Boolean).join('\n');
+      if (!count) throw new Error(rejected.length ? skipped : 'None of the prices belongs to a bond in the portfolio');
+      this.applyPriceChanges();
+      this.closeUploadModal();
+      alert(`Imported ${count} price${count === 1 ? '' : 's'}.${skipped ? `\n${skipped}` : ''}`);
+    } catch (error) {
+      console.error('Error reading prices file:', error);
+      alert('Error reading prices file: ' + error.message);
+    } finally {
+      event.target.value = '';
+    }
+  }
+
+  // ---------- Snapshot history ----------
+  async openHistoryModal() {
+    const modal = document.getElementById('historyModal');
+    const content = document.getElementById('historyContent');
+    if (!modal || !content) return;
+    modal.classList.remove('hidden');
+    content.innerHTML = `<div class="empty-table">Loading…</div>`;
+
+    try {
+      const [snapshots, current] = await Promise.all([this.idbGetAll('snapshots'), this.idbGet('state', 'bonds')]);
+      this.renderHistory(snapshots.sort((a, b) => b.createdAt - a.createdAt), current ? current.snapshotId : null);
+    } catch (e) {
+      console.warn('Failed to load snapshots:', e);
+      content.innerHTML = `<div class="empty-table">History is not available on this device.</div>`;
+    }
+  }
+
+  closeHistoryModal() {
+    const modal = document.getElementById('historyModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  renderHistory(snapshots, currentId) {
+    const content = document.getElementById('historyContent');
+    if (!content) return;
+    if (!snapshots.length) {
+      content.innerHTML = `<div class="empty-table">No snapshots yet. A snapshot is stored on every import and edit.</div>`;
+      return;
+    }
+
+    const fmtDateTime = (ts) => new Date(ts).toLocaleString();
+    content.innerHTML = `
+      <ul class="history-list">
+        ${snapshots.map(snap => {
+          const bonds = snap.bonds || [];
+          const etfs = snap.etfs || [];
+          const principal = bonds.reduce((sum, b) => sum + this.getParInBase(b), 0);
+          const isCurrent = snap.id === currentId;
+          return `
+            <li class="history-item ${isCurrent ? 'history-item--current' : ''}">
+              <div>
+                <div class="history-reason">${this.escapeHtml(snap.reason || 'Update')}</div>
+                <div class="history-meta">${fmtDateTime(snap.createdAt)} · ${bonds.length} bonds${etfs.length ? ` · ${etfs.length} ETFs` : ''} · ${this.formatCurrency(principal)}</div>
+              </div>
+              ${isCurrent ? '' : `<button type="button" class="btn btn--outline btn--sm" data-snapshot-id="${snap.id}">Restore</button>`}
+            </li>
+          `;
+        }).join('')}
+      </ul>
+    `;
+
+    content.querySelectorAll('[data-snapshot-id]').forEach(btn => {
+      btn.addEventListener('click', e => {
+        e.preventDefault();
+        const snap = snapshots.find(x => String(x.id) === btn.getAttribute('data-snapshot-id'));
+        if (snap) this.restoreSnapshot(snap);
+      });
+    });
+  }
+
+  async restoreSnapshot(snapshot) {
+    const when = new Date(snapshot.createdAt).toLocaleString();
+    if (!confirm(`Restore the portfolio as of ${when}? The current state stays available in the history.`)) return;
+
+    this.data.bonds = JSON.parse(JSON.stringify(snapshot.bonds || []));
+    this.data.etfs = JSON.parse(JSON.stringify(snapshot.etfs || []));
+    this.pruneExcludedBondKeys();
+    await this.saveBondsToCache(`Restored snapshot from ${when}`);
+    this.closeHistoryModal();
+    this.calculateStats();
+    this.updateUI();
+    if (this.hasPortfolioData()) this.hideEmptyState();
+    else this.showEmptyState();
+  }
+
+  // Active = held and not matured
+  isBondActive(bond, asOf = this.getAsOfDate()) {
+    if (!(new Date(bond.maturityDate).getTime() > asOf.getTime())) return false;
+    // Ledger positions are also inactive before the first buy and once fully sold
+    if (this.hasLedger(bond)) return this.getLedgerPosition(bond, asOf).nominal > 0;
+    const purchased = this.toLocalDay(bond.purchaseDate);
+    return !purchased || purchased <= this.toLocalDay(asOf);
+  }
+
+  getBondStatusLabel(bond, asOf = this.getAsOfDate()) {
+    if (this.isBondActive(bond, asOf)) return 'Active';
+    if (!(new Date(bond.maturityDate).getTime() > asOf.getTime())) return 'Matured';
+    return this.hasLedger(bond) && this.getLedgerPosition(bond, asOf).firstBuy ? 'Sold' : 'Not yet bought';
+  }
+  getActiveBonds(asOf = this.getAsOfDate()) {
+    return this.data.bonds.filter(b => this.isBondActive(b, asOf));
+  }
+  isActiveInYear(bond, year) {
+    const t = Date.parse(bond.maturityDate);
+    if (!Number.isFinite(t)) return false;
+    const startOfYear = new Date(year, 0, 1).getTime();
+    return t >= startOfYear;
+  }
+
+  hasPortfolioData() {
+    return this.data.bonds.length > 0 || this.data.etfs.length > 0;
+  }
+
+  getBondKey(bond) {
+    return String(
+      bond.id ||
+      bond.isin ||
+      `${bond.name || 'bond'}|${bond.maturityDate || ''}|${bond.depotBank || ''}|${bond.issuer || ''}`
+    );
+  }
+
+  // One position, also when the same ISIN is held at several banks (or twice at one): the bond key
+  // qualified by the depot bank and, for twins without an id, their order in the list
+  getPositionKey(bond) {
+    if (bond.id) return String(bond.id);
+    const list = this.data.etfs.includes(bond) ? this.data.etfs : this.data.bonds;
+    const key = `${this.getBondKey(bond)}|${bond.depotBank || ''}`;
+    const twins = list.filter(b => !b.id && `${this.getBondKey(b)}|${b.depotBank || ''}` === key);
+    const index = twins.indexOf(bond);
+    return index > 0 ? `${key}|${index + 1}` : key;
+  }
+
+  // ---------- ETFs ----------
+  // 0 = accumulating; otherwise payments per year like couponFrequency
+  parseDistributionFrequency(value) {
+    if (value == null || value === '') return null;
+    if (Number(value) === 0) return 0;
+    const s = String(value).toLowerCase().replace(/[\s_-]+/g, '');
+    if (/^(none|accumulating|thesaurierend|acc)$/.test(s)) return 0;
+    return this.parseCouponFrequency(value);
+  }
+
+  getDistributionFrequency(etf) {
+    const f = Number(etf.distributionFrequency);
+    return [1, 2, 4, 12].includes(f) ? f : 0;
+  }
+
+  getDistributionFrequencyLabel(etf) {
+    const f = this.getDistributionFrequency(etf);
+    if (!f) return 'Accumulating';
+    return (this.getCouponFrequencies().find(x => x.value === f) || {}).label || 'Annual';
+  }
+
+  // Units × current price; falls back to the cost basis until a price is known
+  getEtfMarketValue(etf) {
+    const price = Number(etf.currentPrice);
+    if (price > 0) return (Number(etf.units) || 0) * price;
+    return Number(etf.costBasis) || 0;
+  }
+
+  getEtfValueInBase(etf) {
+    return this.toBaseCurrency(this.getEtfMarketValue(etf), etf);
+  }
+
+  // Expected distributions dated in `year`. Dates repeat from `distributionDate`
+  // (any known payment date), defaulting to the 15th of the last month of each period.
+  getEtfDistributions(etf, year) {
+    const freq = this.getDistributionFrequency(etf);
+    const perUnit = Number(etf.distributionPerUnit) || 0;
+    if (!freq || !perUnit) return [];
+    const months = 12 / freq;
+    const anchor = this.toLocalDay(etf.distributionDate) || new Date(year, 11, 15);
+    const amount = (Number(etf.units) || 0) * perUnit;
+
+    const result = [];
+    // Step far enough back from the anchor to cover the whole year, then walk forward
+    const offset = Math.ceil(((anchor.getFullYear() - year) * 12 + anchor.getMonth() + 1) / months) * months;
+    for (let k = 0; ; k++) {
+      const date = this.addMonths(anchor, k * months - offset);
+      if (date.getFullYear() > year) break;
+      if (date.getFullYear() === year) result.push({ date, amount, regular: true });
+    }
+    return result;
+  }
+
+  getDashboardEtfs() {
+    const selectedBanks = this.filters.dashboard.banks || [];
+    const excludedKeys = new Set(this.filters.dashboard.excludedBondKeys || []);
+    return this.data.etfs.filter(e =>
+      !excludedKeys.has(this.getBondKey(e)) &&
+      (!selectedBanks.length || selectedBanks.includes(e.depotBank))
+    );
+  }
+
+  renderEtfs() {
+    const container = document.getElementById('etfsList');
+    if (!container) return;
+
+    const f = this.filters.etfs;
+    let etfs = [...this.data.etfs];
+    if (f.search) {
+      const q = f.search.toLowerCase();
+      etfs = etfs.filter(e =>
+        (e.name || '').toLowerCase().includes(q) ||
+        (e.isin || '').toLowerCase().includes(q) ||
+        (e.wkn || '').toLowerCase().includes(q)
+      );
+    }
+    if (f.depot) etfs = etfs.filter(e => e.depotBank === f.depot);
+    etfs.sort((a, b) => this.getEtfValueInBase(b) - this.getEtfValueInBase(a));
+
+    if (!etfs.length) {
+      container.innerHTML = `<div class="empty-table">${this.data.etfs.length ? 'No ETFs match the filters.' : 'No ETFs yet. Upload an ETF JSON file to add holdings.'}</div>`;
+      return;
+    }
+
+    container.innerHTML = etfs.map(e => this.createEtfCard(e)).join('');
+    container.querySelectorAll('.etf-card').forEach((card, i) => {
+      card.addEventListener('click', e => {
+        if (e.target.closest('.dashboard-toggle')) return;
+        this.showEtfDetails(etfs[i]);
+      });
+    });
+    container.querySelectorAll('.dashboard-toggle input[type="checkbox"]').forEach((checkbox, i) => {
+      checkbox.addEventListener('change', e => {
+        this.toggleBondInDashboard(etfs[i], e.target.checked);
+      });
+    });
+  }
+
+  updateEtfFilters() {
+    const depotSelect = document.getElementById('etfDepotFilter');
+    if (!depotSelect) return;
+    const depots = [...new Set(this.data.etfs.map(e => e.depotBank).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    depotSelect.innerHTML = '<option value="">All Depots</option>' + depots.map(d => `<option value="${this.escapeHtml(d)}">${this.escapeHtml(d)}</option>`).join('');
+    if (this.filters.etfs.depot && !depots.includes(this.filters.etfs.depot)) this.filters.etfs.depot = '';
+    depotSelect.value = this.filters.etfs.depot || '';
+    const search = document.getElementById('etfSearch');
+    if (search && search.value !== this.filters.etfs.search) search.value = this.filters.etfs.search || '';
+  }
+
+  createEtfCard(etf) {
+    const currency = this.getBondCurrency(etf);
+    const value = this.getEtfMarketValue(etf);
+    const cost = Number(etf.costBasis);
+    const hasPrice = Number(etf.currentPrice) > 0;
+    const gain = hasPrice && cost > 0 ? value - cost : null;
+    const yearly = (Number(etf.distributionPerUnit) || 0) * (Number(etf.units) || 0) * this.getDistributionFrequency(etf);
+    return `
+      <div class="etf-card">
+        <div class="etf-header">
+          <div class="etf-name">${this.escapeHtml(etf.name || etf.isin)}</div>
+          <label class="dashboard-toggle">
+            <input type="checkbox" ${this.isBondIncludedInDashboard(etf) ? 'checked' : ''} />
+            <span>Dashboard</span>
+          </label>
+        </div>
+        <div class="etf-price">${this.formatCurrency(value, currency)}</div>
+        <div class="etf-details">
+          <div class="detail-item">
+            <div class="detail-label">Units</div>
+            <div class="detail-value">${new Intl.NumberFormat('de-DE', { maximumFractionDigits: 4 }).format(etf.units || 0)}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">Price</div>
+            <div class="detail-value">${hasPrice ? this.formatCurrency(etf.currentPrice, currency) : 'n/a'}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">Cost Basis</div>
+            <div class="detail-value">${cost > 0 ? this.formatCurrency(cost, currency) : 'n/a'}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">Gain / Loss</div>
+            <div class="detail-value">${gain == null ? 'n/a' : this.formatCurrency(gain, currency)}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">Distribution</div>
+            <div class="detail-value">${this.getDistributionFrequency(etf) ? `${this.formatCurrency(yearly, currency)} p.a. · ${this.getDistributionFrequencyLabel(etf)}` : 'Accumulating'}</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">Depot</div>
+            <div class="detail-value">${this.escapeHtml(etf.depotBank || 'N/A')}</div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  showEtfDetails(etf) {
+    const modal = document.getElementById('bondDetailModal');
+    const title = document.getElementById('bondDetailTitle');
+    const content = document.getElementById('bondDetailContent');
+    if (!modal || !title || !content) return;
+
+    const currency = this.getBondCurrency(etf);
+    const base = this.getBaseCurrency();
+    const value = this.getEtfMarketValue(etf);
+    const today = this.toLocalDay(this.getAsOfDate());
+    const nextDistribution = [today.getFullYear(), today.getFullYear() + 1]
+      .flatMap(y => this.getEtfDistributions(etf, y))
+      .find(d => d.date >= today);
+    const fmtUnits = (v) => new Intl.NumberFormat('de-DE', { maximumFractionDigits: 4 }).format(v || 0);
+
+    title.textContent = etf.name || etf.isin || 'ETF';
+    content.innerHTML = `
+      <div class="detail-section">
+        <h4>Basic Information</h4>
+        <div class="detail-grid">
+          <div class="detail-item"><div class="detail-label">ISIN</div><div class="detail-value">${this.escapeHtml(etf.isin || 'n/a')}</div></div>
+          <div class="detail-item"><div class="detail-label">WKN</div><div class="detail-value">${this.escapeHtml(etf.wkn || 'n/a')}</div></div>
+          <div class="detail-item"><div class="detail-label">Depot</div><div class="detail-value">${this.escapeHtml(etf.depotBank || 'N/A')}</div></div>
+          <div class="detail-item"><div class="detail-label">Currency</div><div class="detail-value">${currency}</div></div>
+        </div>
+      </div>
+      <div class="detail-section">
+        <h4>Position</h4>
+        <div class="detail-grid">
+          <div class="detail-item"><div class="detail-label">Units</div><div class="detail-value">${fmtUnits(etf.units)}</div></div>
+          <div class="detail-item"><div class="detail-label">Current Price</div><div class="detail-value">${Number(etf.currentPrice) > 0 ? this.formatCurrency(etf.currentPrice, currency) : 'n/a'}${etf.priceDate ? ` <span class="detail-sub">${new Date(etf.priceDate).toLocaleDateString()}</span>` : ''}</div></div>
+          <div class="detail-item"><div class="detail-label">Market Value</div><div class="detail-value">${this.formatCurrency(value, currency)}${currency !== base ? ` <span class="detail-sub">≈ ${this.formatCurrency(this.getEtfValueInBase(etf), base)}</span>` : ''}</div></div>
+          <div class="detail-item"><div class="detail-label">Cost Basis</div><div class="detail-value">${Number(etf.costBasis) > 0 ? this.formatCurrency(etf.costBasis, currency) : 'n/a'}</div></div>
+        </div>
+      </div>
+      <div class="detail-section">
+        <h4>Distributions</h4>
+        <div class="detail-grid">
+          <div class="detail-item"><div class="detail-label">Frequency</div><div class="detail-value">${this.getDistributionFrequencyLabel(etf)}</div></div>
+          <div class="detail-item"><div class="detail-label">Per Unit</div><div class="detail-value">${Number(etf.distributionPerUnit) > 0 ? this.formatCurrency(etf.distributionPerUnit, currency) : 'n/a'}</div></div>
+          ${nextDistribution ? `<div class="detail-item"><div class="detail-label">Next Distribution</div><div class="detail-value">${nextDistribution.date.toLocaleDateString()} · ${this.formatCurrency(nextDistribution.amount, currency)}</div></div>` : ''}
+          ${etf.partialExemption ? `<div class="detail-item"><div class="detail-label">Teilfreistellung</div><div class="detail-value">${etf.partialExemption}%</div></div>` : ''}
+        </div>
+      </div>
+      <div class="bond-detail-actions">
+        <button type="button" class="btn btn--danger btn--sm" id="deleteEtfBtn">Delete</button>
+      </div>
+    `;
+
+    this.detailBond = etf;
+    const deleteBtn = document.getElementById('deleteEtfBtn');
+    if (deleteBtn) deleteBtn.addEventListener('click', e => { e.preventDefault(); this.deleteEtf(etf); });
+    modal.classList.remove('hidden');
+    this.updateRoute();
+  }
+
+  deleteEtf(etf) {
+    const index = this.data.etfs.indexOf(etf);
+    if (index < 0) return;
+    if (!confirm(`Delete ${etf.name || etf.isin}? An earlier state stays available in the history.`)) return;
+    // Only this holding: the same ETF can sit in several depots under one key
+    this.data.etfs.splice(index, 1);
+    this.pruneExcludedBondKeys();
+    this.closeBondDetailModal();
+    this.commitBondChanges(`Deleted ETF ${etf.name || etf.isin}`);
+  }
+
+  // Bonds at par and ETFs at market value, in the base currency
+  createAllocationTable() {
+    const container = document.getElementById('allocationContainer');
+    if (!container) return;
+
+    const { totalPrincipal = 0, etfValue = 0 } = this.data.stats;
+    const total = totalPrincipal + etfValue;
+    if (total <= 0) {
+      container.innerHTML = `<div class="empty-table">Nothing to allocate.</div>`;
+      return;
+    }
+
+    const fmtBase = (v) => this.formatCurrency(v, this.getBaseCurrency(), { maximumFractionDigits: 0 });
+    const fmtPct0 = (v) => new Intl.NumberFormat('de-DE', { maximumFractionDigits: 0 }).format(v * 100) + '%';
+    const etfRows = this.getDashboardEtfs()
+      .map(e => [e.name || e.isin, this.getEtfValueInBase(e)])
+      .sort((a, b) => b[1] - a[1]);
+
+    container.innerHTML = `
+      <table class="table table--no-cards table--compact">
+        <thead>
+          <tr>
+            <th>Asset</th>
+            <th>Value (${this.getBaseCurrency()})</th>
+            <th>%</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>Bonds (par)</td>
+            <td class="num">${fmtBase(totalPrincipal)}</td>
+            <td class="num">${fmtPct0(totalPrincipal / total)}</td>
+          </tr>
+          <tr>
+            <td>ETFs (market value)</td>
+            <td class="num">${fmtBase(etfValue)}</td>
+            <td class="num">${fmtPct0(etfValue / total)}</td>
+          </tr>
+          ${etfRows.map(([name, value]) => `
+            <tr class="allocation-sub-row">
+              <td>${this.escapeHtml(name)}</td>
+              <td class="num">${fmtBase(value)}</td>
+              <td class="num">${fmtPct0(value / total)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+        <tfoot>
+          <tr class="total-row">
+            <td>Total</td>
+            <td class="num">${fmtBase(total)}</td>
+            <td class="num">100%</td>
+          </tr>
+        </tfoot>
+      </table>
+    `;
+  }
+
+  // ---------- Currencies ----------
+  getBondCurrency(bond) {
+    const c = String(bond.currency || '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(c) ? c : 'EUR';
+  }
+
+  getBaseCurrency() {
+    return this.settings.baseCurrency || 'EUR';
+  }
+
+  // Units of `currency` per 1 EUR (null if unknown)
+  getFxRate(currency) {
+    if (currency === 'EUR') return 1;
+    const rate = Number((this.settings.fxRates || {})[currency]);
+    return rate > 0 ? rate : null;
+  }
+
+  // Missing rates fall back to 1:1 so totals stay usable; getMissingFxCurrencies() reports them
+  convertCurrency(amount, from, to = this.getBaseCurrency()) {
+    if (from === to) return amount;
+    const fromRate = this.getFxRate(from);
+    const toRate = this.getFxRate(to);
+    if (!fromRate || !toRate) return amount;
+    return amount / fromRate * toRate;
+  }
+
+  toBaseCurrency(amount, bond) {
+    return this.convertCurrency(amount, this.getBondCurrency(bond));
+  }
+
+  getParInBase(bond) {
+    return this.toBaseCurrency(this.getPositionNominal(bond), bond);
+  }
+
+  getMissingFxCurrencies(bonds = [...this.data.bonds, ...this.data.etfs]) {
+    const base = this.getBaseCurrency();
+    const needed = new Set(bonds.map(b => this.getBondCurrency(b)));
+    if (needed.size) needed.add(base);
+    return [...needed].filter(c => !this.getFxRate(c) && (c !== base || needed.size > 1));
+  }
+
+  // ---------- Coupon schedule ----------
+  getCouponFrequencies() {
+    return [
+      { value: 1, label: 'Annual' },
+      { value: 2, label: 'Semi-annual' },
+      { value: 4, label: 'Quarterly' },
+      { value: 12, label: 'Monthly' }
+    ];
+  }
+
+  getCouponFrequency(bond) {
+    const f = Number(bond.couponFrequency);
+    return [1, 2, 4, 12].includes(f) ? f : 1;
+  }
+
+  getCouponFrequencyLabel(bond) {
+    const f = this.getCouponFrequency(bond);
+    return (this.getCouponFrequencies().find(x => x.value === f) || {}).label || 'Annual';
+  }
+
+  // Accepts 2, "2", "semi-annual", "halbjährlich", ... -> 1 | 2 | 4 | 12 (null if unknown)
+  parseCouponFrequency(value) {
+    if (value == null || value === '') return null;
+    const n = Number(value);
+    if ([1, 2, 4, 12].includes(n)) return n;
+    const s = String(value).toLowerCase().replace(/[\s_-]+/g, '');
+    if (/^(annual|annually|yearly|jährlich|jaehrlich|ganzjährlich|p\.a\.)$/.test(s)) return 1;
+    if (/^(semiannual|semiannually|halfyearly|halbjährlich|halbjaehrlich)$/.test(s)) return 2;
+    if (/^(quarterly|vierteljährlich|vierteljaehrlich|quartalsweise)$/.test(s)) return 4;
+    if (/^(monthly|monatlich)$/.test(s)) return 12;
+    return null;
+  }
+
+  // Local calendar day as 'YYYY-MM-DD'
+  toDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  fromDateKey(key) {
+    const [y, m, d] = String(key).split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  toLocalDay(value) {
+    const t = value instanceof Date ? value.getTime() : Date.parse(value);
+    if (!Number.isFinite(t)) return null;
+    const d = new Date(t);
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  }
+
+  // Month arithmetic anchored on `date`; the day is clamped to the target month's length, or set
+  // to its last day with `endOfMonth` (coupon cycles anchored on a month end stay on month ends)
+  addMonths(date, months, endOfMonth = false) {
+    const y = date.getFullYear();
+    const m = date.getMonth() + months;
+    const target = new Date(y, m, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(endOfMonth ? lastDay : Math.min(date.getDate(), lastDay));
+    return target;
+  }
+
+  isMonthEnd(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getDate() === 1;
+  }
+
+  // Month-end rule (coupons on the last day of each month of the cycle) only when the bond says so:
+  // a 30 April maturity pays on 30 October unless the terms roll to month end
+  usesEndOfMonth(bond, anchor) {
+    return bond.endOfMonth === true && this.isMonthEnd(anchor);
+  }
+
+  // ---------- Day count ----------
+  getDayCountConventions() {
+    return [
+      { value: 'ACT/ACT', label: 'ACT/ACT (ICMA)' },
+      { value: 'ACT/360', label: 'ACT/360' },
+      { value: 'ACT/365', label: 'ACT/365' },
+      { value: '30/360', label: '30/360' }
+    ];
+  }
+
+  getDayCount(bond) {
+    return this.parseDayCount(bond.dayCount) || 'ACT/ACT';
+  }
+
+  // "act/act icma", "Actual/360", "30E/360", ... -> canonical value (null if unknown)
+  parseDayCount(value) {
+    if (value == null || value === '') return null;
+    const s = String(value).toUpperCase().replace(/ACTUAL/g, 'ACT').replace(/\s+/g, '');
+    if (/^ACT\/ACT(\(?ICMA\)?|\(?ISMA\)?)?$/.test(s)) return 'ACT/ACT';
+    if (/^ACT\/360$/.test(s)) return 'ACT/360';
+    if (/^ACT\/365(F|FIXED)?$/.test(s)) return 'ACT/365';
+    if (/^30E?\/360(ISDA)?$/.test(s)) return '30/360';
+    return null;
+  }
+
+  daysBetween(start, end) {
+    // Round away DST hour differences between local midnights
+    return Math.round((end - start) / 86400000);
+  }
+
+  days30360(start, end) {
+    let d1 = start.getDate();
+    let d2 = end.getDate();
+    if (d1 === 31) d1 = 30;
+    if (d2 === 31 && d1 === 30) d2 = 30;
+    return 360 * (end.getFullYear() - start.getFullYear()) + 30 * (end.getMonth() - start.getMonth()) + (d2 - d1);
+  }
+
+  // Year fraction between `start` and `end` under the bond's convention.
+  // ACT/ACT (ICMA) measures against the regular coupon periods ending at `periodEnd`, which
+  // also handles short and long stub periods.
+  getAccrualFactor(bond, start, end, periodEnd = end) {
+    if (end <= start) return 0;
+    switch (this.getDayCount(bond)) {
+      case 'ACT/360': return this.daysBetween(start, end) / 360;
+      case 'ACT/365': return this.daysBetween(start, end) / 365;
+      case '30/360':  return this.days30360(start, end) / 360;
+      default: {
+        const freq = this.getCouponFrequency(bond);
+        const months = 12 / freq;
+        const eom = this.usesEndOfMonth(bond, periodEnd);
+        let factor = 0;
+        for (let k = 0; k < 1200; k++) {
+          const notionalEnd = this.addMonths(periodEnd, -k * months, eom);
+          const notionalStart = this.addMonths(periodEnd, -(k + 1) * months, eom);
+          if (notionalEnd <= start) break;
+          const from = start > notionalStart ? start : notionalStart;
+          const to = end < notionalEnd ? end : notionalEnd;
+          if (to > from) factor += this.daysBetween(from, to) / (freq * this.daysBetween(notionalStart, notionalEnd));
+        }
+        return factor;
+      }
     }
   }
 
-  saveBondsToCache() {
-    try {
-      localStorage.setItem(this.CACHE_KEY_BONDS, JSON.stringify(this.data.bonds));
-      localStorage.setItem(this.CACHE_KEY_TS, String(Date.now()));
-    } catch (e) {
-      console.warn('Failed to save bonds cache:', e);
+  // Interest accrued since the last coupon date, as of `asOf` (0 outside the coupon schedule)
+  calculateAccruedInterest(bond, asOf = this.getAsOfDate()) {
+    const day = this.toLocalDay(asOf);
+    if (!day) return 0;
+    const period = this.getCouponSchedule(bond).find(c => c.periodStart < day && day <= c.date);
+    if (!period || day.getTime() === period.date.getTime()) return 0;
+    const par = this.getPositionNominal(bond);
+    const rate = Number(bond.couponRate) || 0;
+    return par * (rate / 100) * this.getAccrualFactor(bond, period.periodStart, day, period.periodEnd);
+  }
+
+  // Every coupon payment of a bond: [{ date, amount, periodStart, periodEnd, regular }]
+  // Dates roll backward from maturity unless `firstCouponDate` fixes the cycle, in which case
+  // they roll forward from it and the last period may be irregular. `issueDate` bounds the
+  // first period (short/long first coupon); without it the schedule goes back 30 years. Payments up
+  // to `purchaseDate` are left out. `endOfMonth: true` keeps a month-end cycle on month ends.
+  getCouponSchedule(bond) {
+    const par = this.getPositionNominal(bond);
+    const signature = [bond.maturityDate, bond.couponRate, par, bond.couponFrequency, bond.issueDate, bond.firstCouponDate, bond.dayCount, bond.endOfMonth, bond.purchaseDate].join('|');
+    const cached = this.scheduleCache.get(bond);
+    if (cached && cached.signature === signature) return cached.schedule;
+
+    const schedule = this.buildCouponSchedule(bond, par);
+    this.scheduleCache.set(bond, { signature, schedule });
+    return schedule;
+  }
+
+  buildCouponSchedule(bond, par = this.getPositionNominal(bond)) {
+    const maturity = this.toLocalDay(bond.maturityDate);
+    const rate = Number(bond.couponRate) || 0;
+    if (!maturity || rate <= 0 || par <= 0) return [];
+
+    const freq = this.getCouponFrequency(bond);
+    const months = 12 / freq;
+    const issue = this.toLocalDay(bond.issueDate);
+    const firstCoupon = this.toLocalDay(bond.firstCouponDate);
+    const lowerBound = issue || this.addMonths(maturity, -12 * 30);
+
+    // Each entry: payment date plus the start of the regular period it would close
+    // A cycle date within a few days of maturity is the same payment, not an extra stub
+    const periods = [];
+    const slackDays = 3;
+    if (firstCoupon && firstCoupon < maturity) {
+      const eom = this.usesEndOfMonth(bond, firstCoupon);
+      let k = 0;
+      for (; ; k++) {
+        const date = this.addMonths(firstCoupon, k * months, eom);
+        if (date >= maturity || (k > 0 && this.daysBetween(date, maturity) <= slackDays)) break;
+        periods.push({ date, regularStart: this.addMonths(firstCoupon, (k - 1) * months, eom) });
+      }
+      const last = periods[periods.length - 1].date;
+      const onCycle = Math.abs(this.daysBetween(this.addMonths(firstCoupon, k * months, eom), maturity)) <= slackDays;
+      periods.push({ date: maturity, regularStart: onCycle ? last : this.addMonths(maturity, -months, this.usesEndOfMonth(bond, maturity)) });
+    } else {
+      const eom = this.usesEndOfMonth(bond, maturity);
+      for (let k = 0; ; k++) {
+        const date = this.addMonths(maturity, -k * months, eom);
+        if (date <= lowerBound) break;
+        periods.unshift({ date, regularStart: this.addMonths(maturity, -(k + 1) * months, eom) });
+      }
     }
+
+    // Regular coupons pay the fixed rate/frequency; stubs accrue under the bond's day count
+    const regularAmount = par * (rate / 100) / freq;
+    const purchased = this.toLocalDay(bond.purchaseDate);
+    return periods.map(({ date, regularStart }, i) => {
+      const periodStart = i > 0 ? periods[i - 1].date : (issue || regularStart);
+      const regular = Math.abs(this.daysBetween(periodStart, regularStart)) <= (i > 0 ? 0 : slackDays);
+      const amount = regular ? regularAmount : par * (rate / 100) * this.getAccrualFactor(bond, periodStart, date);
+      return { date, amount, periodStart, periodEnd: date, regular };
+    }).filter(c => !purchased || c.date > purchased);
   }
 
-  clearBondsCache() {
-    try {
-      localStorage.removeItem(this.CACHE_KEY_BONDS);
-      localStorage.removeItem(this.CACHE_KEY_TS);
-    } catch {}
+  // Coupon payments of `bond` dated inside calendar year `year`
+  getCouponsInYear(bond, year) {
+    const coupons = this.hasLedger(bond) ? this.getLedgerCoupons(bond) : this.getCouponSchedule(bond);
+    return coupons.filter(c => c.date.getFullYear() === year);
   }
 
-  // Active = not matured
-  isBondActive(bond, asOf = new Date()) {
-    return new Date(bond.maturityDate).getTime() > asOf.getTime();
+  // Coupons of a ledger position: each scheduled payment on the nominal held at its date, or the
+  // coupon recorded within two weeks of it. Nothing after the as-of day is known, so later payments
+  // use the nominal held on it and later recordings are ignored.
+  getLedgerCoupons(bond) {
+    const asOf = this.toLocalDay(this.getAsOfDate());
+    const signature = [this.toDateKey(asOf), bond.maturityDate, bond.couponRate, bond.couponFrequency, bond.issueDate, bond.firstCouponDate, bond.dayCount, bond.endOfMonth].join('|');
+    const cached = this.ledgerCouponCache.get(bond);
+    if (cached && cached.signature === signature && cached.transactions === bond.transactions) return cached.coupons;
+
+    const maxGap = 14 * 24 * 60 * 60 * 1000;
+    const recorded = bond.transactions
+      .filter(t => t.type === 'coupon')
+      .map(t => ({ date: this.fromDateKey(t.date), amount: t.amount, regular: true, received: true }))
+      .filter(c => c.date <= asOf);
+    const used = new Set();
+    const scheduled = this.buildCouponSchedule(bond, 100).map(c => {
+      const match = recorded.find(r => !used.has(r) && Math.abs(r.date - c.date) <= maxGap);
+      if (match) {
+        used.add(match);
+        return match;
+      }
+      return { ...c, amount: c.amount * this.getPositionNominal(bond, c.date < asOf ? c.date : asOf) / 100 };
+    });
+    const coupons = [...scheduled.filter(c => c.amount > 0), ...recorded.filter(r => !used.has(r))].sort((a, b) => a.date - b.date);
+    this.ledgerCouponCache.set(bond, { signature, transactions: bond.transactions, coupons });
+    return coupons;
   }
-  getActiveBonds(asOf = new Date()) {
-    return this.data.bonds.filter(b => this.isBondActive(b, asOf));
+
+  getInterestInYear(bond, year) {
+    return this.getCouponsInYear(bond, year).reduce((sum, c) => sum + c.amount, 0);
   }
-  isActiveInYear(bond, year) {
-    const t = Date.parse(bond.maturityDate);
-    if (!Number.isFinite(t)) return false;
-    const startOfYear = new Date(year, 0, 1).getTime();
-    return t >= startOfYear;
+
+  // ---------- Yield to maturity ----------
+  // Solves for the yield that discounts the remaining coupons and redemption to the amount paid.
+  // `initialPrice` is the clean amount paid for the position (Kurswert, without accrued interest),
+  // `purchaseDate` is the settlement date. Compounding follows the coupon frequency, time in ACT/365.
+  calculateYieldToMaturity(bond) {
+    const signature = [bond.maturityDate, bond.couponRate, this.getPositionNominal(bond), bond.couponFrequency, bond.issueDate,
+      bond.firstCouponDate, bond.dayCount, bond.endOfMonth, this.getPositionCost(bond), this.getPurchaseDate(bond)].join('|');
+    const cached = this.yieldCache.get(bond);
+    if (cached && cached.signature === signature) return cached.value;
+
+    const value = this.solveYieldToMaturity(bond);
+    this.yieldCache.set(bond, { signature, value });
+    return value;
   }
 
-  getBondKey(bond) {
-    return String(
-      bond.id ||
-      bond.isin ||
-      `${bond.name || 'bond'}|${bond.maturityDate || ''}|${bond.depotBank || ''}|${bond.issuer || ''}`
-    );
+  solveYieldToMaturity(bond) {
+    const settle = this.toLocalDay(this.getPurchaseDate(bond));
+    const maturity = this.toLocalDay(bond.maturityDate);
+    const par = this.getPositionNominal(bond);
+    const cost = this.getPositionCost(bond);
+    if (!settle || !maturity || settle >= maturity || par <= 0 || !(cost > 0)) return null;
+
+    const dirtyPrice = cost + this.calculateAccruedInterest(bond, settle);
+    const cashflows = this.getCouponSchedule(bond)
+      .filter(c => c.date > settle)
+      .map(c => ({ t: this.daysBetween(settle, c.date) / 365, amount: c.amount }));
+    cashflows.push({ t: this.daysBetween(settle, maturity) / 365, amount: par });
+
+    const freq = this.getCouponFrequency(bond);
+    const presentValue = (y) => cashflows.reduce((sum, cf) => sum + cf.amount / Math.pow(1 + y / freq, freq * cf.t), 0);
+
+    // PV falls monotonically with the yield, so bisection is enough and never diverges
+    let lo = -0.5;
+    let hi = 1;
+    if (presentValue(lo) < dirtyPrice || presentValue(hi) > dirtyPrice) return null;
+    for (let i = 0; i < 100; i++) {
+      const mid = (lo + hi) / 2;
+      if (presentValue(mid) > dirtyPrice) lo = mid;
+      else hi = mid;
+    }
+    return ((lo + hi) / 2) * 100;
+  }
+
+  getStoredYield(bond) {
+    const y = bond.yieldToMaturity;
+    return typeof y === 'number' && Number.isFinite(y) ? y : null;
+  }
+
+  // Computed yield where possible, otherwise whatever the file says
+  getBondYield(bond) {
+    const computed = this.calculateYieldToMaturity(bond);
+    return computed != null ? computed : this.getStoredYield(bond);
+  }
+
+  // Stored and computed yield disagree by more than 10bp
+  hasYieldMismatch(bond) {
+    const computed = this.calculateYieldToMaturity(bond);
+    const stored = this.getStoredYield(bond);
+    return computed != null && stored != null && Math.abs(computed - stored) > 0.1;
+  }
+
+  // ---------- Duration & convexity ----------
+  // Discounts the remaining cash flows at the bond's yield (coupon rate if no yield is known).
+  // Returns Macaulay/modified duration in years, convexity in years², and the present value
+  // (dirty) used to weight bonds in portfolio figures.
+  calculateRiskMetrics(bond, asOf = this.getAsOfDate()) {
+    const today = this.toLocalDay(asOf);
+    const maturity = this.toLocalDay(bond.maturityDate);
+    const par = this.getPositionNominal(bond, asOf);
+    if (!today || !maturity || maturity <= today || par <= 0) return null;
+
+    const known = this.getBondYield(bond);
+    const y = (known != null ? known : (Number(bond.couponRate) || 0)) / 100;
+    const freq = this.getCouponFrequency(bond);
+    const base = 1 + y / freq;
+    if (base <= 0) return null;
+
+    const cashflows = this.getCouponSchedule(bond)
+      .filter(c => c.date > today)
+      .map(c => ({ t: this.daysBetween(today, c.date) / 365, amount: c.amount }));
+    cashflows.push({ t: this.daysBetween(today, maturity) / 365, amount: par });
+
+    let presentValue = 0;
+    let weightedTime = 0;
+    let convexitySum = 0;
+    cashflows.forEach(({ t, amount }) => {
+      const pv = amount / Math.pow(base, freq * t);
+      presentValue += pv;
+      weightedTime += t * pv;
+      convexitySum += pv * t * (t + 1 / freq);
+    });
+    if (presentValue <= 0) return null;
+
+    const macaulay = weightedTime / presentValue;
+    return {
+      yield: y * 100,
+      yieldEstimated: known == null,
+      presentValue,
+      macaulay,
+      modified: macaulay / base,
+      convexity: convexitySum / (presentValue * base * base)
+    };
+  }
+
+  getYieldWeight(bond) {
+    if (this.filters.dashboard.yieldWeighting === 'cost') {
+      const cost = this.getPositionCost(bond);
+      if (cost > 0) return this.toBaseCurrency(cost, bond);
+    }
+    return this.getParInBase(bond);
   }
 
   isBondIncludedInDashboard(bond) {
@@ -82,19 +3085,28 @@ class PortfolioManager {
     if (includeInDashboard) excluded.delete(key);
     else excluded.add(key);
     this.filters.dashboard.excludedBondKeys = [...excluded];
+    this.saveFiltersToCache();
     this.calculateStats();
     this.updateStats();
     this.updateCharts();
+    // Limit badges depend on the dashboard selection
+    this.renderBonds();
   }
 
-  init() {
+  async init() {
     this.setupEventListeners();
 
-    if (this.loadBondsFromCache()) {
+    const hasData = await this.loadBondsFromCache();
+    await this.loadFiltersFromCache();
+    await this.loadSettings();
+    await this.loadIssuersFromCache();
+    await this.loadPricesFromCache();
+    if (hasData) {
+      this.pruneExcludedBondKeys();
       this.calculateStats();
       this.updateUI();
       this.hideEmptyState();
-      this.switchTab('dashboard');
+      this.applyRoute();
     } else {
       this.showEmptyState();
     }
@@ -108,6 +3120,55 @@ class PortfolioManager {
     const loadSampleBtn = document.getElementById('loadSampleData');
 
     if (uploadBtn) uploadBtn.addEventListener('click', e => { e.preventDefault(); this.openUploadModal(); });
+    const fxBtn = document.getElementById('fxBtn');
+    const closeFx = document.getElementById('closeFx');
+    const fxAddBtn = document.getElementById('fxAddBtn');
+    const fxSaveBtn = document.getElementById('fxSaveBtn');
+    const fxFile = document.getElementById('fxFile');
+    if (fxBtn) fxBtn.addEventListener('click', e => { e.preventDefault(); this.openFxModal(); });
+    if (closeFx) closeFx.addEventListener('click', e => { e.preventDefault(); this.closeFxModal(); });
+    if (fxAddBtn) fxAddBtn.addEventListener('click', e => { e.preventDefault(); this.addFxRateFromForm(); });
+    if (fxSaveBtn) fxSaveBtn.addEventListener('click', e => { e.preventDefault(); this.saveFxSettings(); });
+    if (fxFile) fxFile.addEventListener('change', e => this.handleFxFileUpload(e));
+    const asOfInput = document.getElementById('asOfDate');
+    const asOfResetBtn = document.getElementById('asOfResetBtn');
+    if (asOfInput) asOfInput.addEventListener('change', e => this.setAsOfDate(e.target.value));
+    if (asOfResetBtn) asOfResetBtn.addEventListener('click', e => { e.preventDefault(); this.setAsOfDate(''); });
+    this.syncAsOfControls();
+    const issuersBtn = document.getElementById('issuersBtn');
+    const closeIssuers = document.getElementById('closeIssuers');
+    const issuerSaveBtn = document.getElementById('issuerSaveBtn');
+    const issuerFile = document.getElementById('issuerFile');
+    if (issuersBtn) issuersBtn.addEventListener('click', e => { e.preventDefault(); this.openIssuerModal(); });
+    if (closeIssuers) closeIssuers.addEventListener('click', e => { e.preventDefault(); this.closeIssuerModal(); });
+    if (issuerSaveBtn) issuerSaveBtn.addEventListener('click', e => { e.preventDefault(); this.saveIssuerSettings(); });
+    if (issuerFile) issuerFile.addEventListener('change', e => this.handleIssuerFileUpload(e));
+    const editLimitsBtn = document.getElementById('editLimitsBtn');
+    const closeLimits = document.getElementById('closeLimits');
+    const limitsSaveBtn = document.getElementById('limitsSaveBtn');
+    if (editLimitsBtn) editLimitsBtn.addEventListener('click', e => { e.preventDefault(); this.openLimitsModal(); });
+    if (closeLimits) closeLimits.addEventListener('click', e => { e.preventDefault(); this.closeLimitsModal(); });
+    if (limitsSaveBtn) limitsSaveBtn.addEventListener('click', e => { e.preventDefault(); this.saveLimitSettings(); });
+    const editGoalBtn = document.getElementById('editGoalBtn');
+    const closeGoal = document.getElementById('closeGoal');
+    const goalAddBtn = document.getElementById('goalAddBtn');
+    const goalSaveBtn = document.getElementById('goalSaveBtn');
+    const goalBasis = document.getElementById('goalBasis');
+    if (editGoalBtn) editGoalBtn.addEventListener('click', e => { e.preventDefault(); this.openGoalModal(); });
+    if (closeGoal) closeGoal.addEventListener('click', e => { e.preventDefault(); this.closeGoalModal(); });
+    if (goalAddBtn) goalAddBtn.addEventListener('click', e => { e.preventDefault(); this.addGoalStep(); });
+    if (goalSaveBtn) goalSaveBtn.addEventListener('click', e => { e.preventDefault(); this.saveGoalSettings(); });
+    if (goalBasis) goalBasis.addEventListener('change', e => { if (this.goalDraft) this.goalDraft.basis = e.target.value; });
+    const taxBtn = document.getElementById('taxBtn');
+    const closeTax = document.getElementById('closeTax');
+    const taxSaveBtn = document.getElementById('taxSaveBtn');
+    if (taxBtn) taxBtn.addEventListener('click', e => { e.preventDefault(); this.openTaxModal(); });
+    if (closeTax) closeTax.addEventListener('click', e => { e.preventDefault(); this.closeTaxModal(); });
+    if (taxSaveBtn) taxSaveBtn.addEventListener('click', e => { e.preventDefault(); this.saveTaxSettings(); });
+    const historyBtn = document.getElementById('historyBtn');
+    const closeHistory = document.getElementById('closeHistory');
+    if (historyBtn) historyBtn.addEventListener('click', e => { e.preventDefault(); this.openHistoryModal(); });
+    if (closeHistory) closeHistory.addEventListener('click', e => { e.preventDefault(); this.closeHistoryModal(); });
     if (emptyUploadBtn) emptyUploadBtn.addEventListener('click', e => { e.preventDefault(); this.openUploadModal(); });
     if (closeModal) closeModal.addEventListener('click', e => { e.preventDefault(); this.closeUploadModal(); });
     if (loadSampleBtn) loadSampleBtn.addEventListener('click', e => { e.preventDefault(); this.loadSampleData(); });
@@ -115,8 +3176,19 @@ class PortfolioManager {
     // File upload (bonds only)
     const bondsFile = document.getElementById('bondsFile');
     if (bondsFile) bondsFile.addEventListener('change', e => this.handleFileUpload(e, 'bonds'));
+    const etfsFile = document.getElementById('etfsFile');
+    if (etfsFile) etfsFile.addEventListener('change', e => this.handleFileUpload(e, 'etfs'));
+    const pricesFile = document.getElementById('pricesFile');
+    if (pricesFile) pricesFile.addEventListener('change', e => this.handlePricesFileUpload(e));
 
-    // Navigation
+    // Broker CSV upload + column mapping
+    const bondsCsvFile = document.getElementById('bondsCsvFile');
+    const csvImportBtn = document.getElementById('csvImportBtn');
+    if (bondsCsvFile) bondsCsvFile.addEventListener('change', e => this.handleCsvUpload(e));
+    if (csvImportBtn) csvImportBtn.addEventListener('click', e => { e.preventDefault(); this.importCsvWithMapping(); });
+
+    // Navigation (back/forward and edited URLs restore the view)
+    window.addEventListener('popstate', () => { if (this.hasPortfolioData()) this.applyRoute(); });
     document.querySelectorAll('.nav-item').forEach(item => {
       item.addEventListener('click', e => {
         e.preventDefault();
@@ -136,15 +3208,51 @@ class PortfolioManager {
     const interestYearFilter = document.getElementById('interestYearFilter');
     const interestShowPast = document.getElementById('interestShowPast');
     const dashboardBankFilter = document.getElementById('dashboardBankFilter');
+    const etfSearch = document.getElementById('etfSearch');
+    const etfDepotFilter = document.getElementById('etfDepotFilter');
+    if (etfSearch) etfSearch.addEventListener('input', e => this.updateFilter('etfs', 'search', e.target.value));
+    if (etfDepotFilter) etfDepotFilter.addEventListener('change', e => this.updateFilter('etfs', 'depot', e.target.value));
 
     if (bondSearch)  bondSearch.addEventListener('input', e => this.updateFilter('bonds', 'search', e.target.value));
     if (issuerFilter) issuerFilter.addEventListener('change', e => this.updateFilter('bonds', 'issuer', e.target.value));
     if (depotFilter)  depotFilter.addEventListener('change', e => this.updateFilter('bonds', 'depot', e.target.value));
     if (yearFilter) yearFilter.addEventListener('change', e => this.updateFilter('bonds', 'year', e.target.value));
+    [['ratingFilter', 'rating'], ['sectorFilter', 'sector'], ['countryFilter', 'country']].forEach(([id, key]) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener('change', e => this.updateFilter('bonds', key, e.target.value));
+    });
     if (interestIssuerFilter) interestIssuerFilter.addEventListener('change', e => this.updateFilter('interest', 'issuer', e.target.value));
     if (interestDepotFilter) interestDepotFilter.addEventListener('change', e => this.updateFilter('interest', 'depot', e.target.value));
     if (interestYearFilter) interestYearFilter.addEventListener('change', e => this.updateFilter('interest', 'year', e.target.value));
     if (interestShowPast) interestShowPast.addEventListener('change', e => this.updateFilter('interest', 'showPast', e.target.checked));
+    const remindersEnabled = document.getElementById('remindersEnabled');
+    const remindersDaysBefore = document.getElementById('remindersDaysBefore');
+    const remindersCoupons = document.getElementById('remindersCoupons');
+    const remindersMaturities = document.getElementById('remindersMaturities');
+    if (remindersEnabled) remindersEnabled.addEventListener('change', e => this.updateReminderSetting('enabled', e.target.checked));
+    if (remindersDaysBefore) remindersDaysBefore.addEventListener('change', e => this.updateReminderSetting('daysBefore', e.target.value));
+    if (remindersCoupons) remindersCoupons.addEventListener('change', e => this.updateReminderSetting('coupons', e.target.checked));
+    if (remindersMaturities) remindersMaturities.addEventListener('change', e => this.updateReminderSetting('maturities', e.target.checked));
+    const yieldWeighting = document.getElementById('yieldWeighting');
+    if (yieldWeighting) yieldWeighting.addEventListener('change', e => this.updateFilter('dashboard', 'yieldWeighting', e.target.value));
+    ['dashboardIncomeBasis', 'interestIncomeBasis'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener('change', e => this.setIncomeBasis(e.target.value));
+    });
+    [['ladderProfile', 'profile'], ['ladderYears', 'years'], ['ladderTolerance', 'tolerance']].forEach(([id, field]) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener('change', e => this.updateLadderSetting(field, e.target.value));
+    });
+    const projectionEnabled = document.getElementById('projectionEnabled');
+    const projectionCoupons = document.getElementById('projectionReinvestCoupons');
+    if (projectionEnabled) projectionEnabled.addEventListener('change', e => this.updateProjection('enabled', e.target.checked));
+    if (projectionCoupons) projectionCoupons.addEventListener('change', e => this.updateProjection('reinvestCoupons', e.target.checked));
+    [['projectionRate', 'rate'], ['projectionTenor', 'tenor'], ['projectionYears', 'years']].forEach(([id, field]) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener('change', e => this.updateProjection(field, e.target.value));
+    });
+    const taxYearSelect = document.getElementById('taxYearSelect');
+    if (taxYearSelect) taxYearSelect.addEventListener('change', e => this.updateFilter('dashboard', 'taxYear', e.target.value));
     if (dashboardBankFilter) {
       dashboardBankFilter.addEventListener('change', e => {
         const selectedBanks = [...e.target.selectedOptions].map(option => option.value).filter(Boolean);
@@ -157,14 +3265,60 @@ class PortfolioManager {
       excludeToggle.addEventListener('change', e => this.updateFilter('bonds', 'excludeMatured', e.target.checked));
     }
 
+    // Import report modal
+    const closeImportReport = document.getElementById('closeImportReport');
+    const cancelImportBtn = document.getElementById('cancelImportBtn');
+    const confirmImportBtn = document.getElementById('confirmImportBtn');
+    if (closeImportReport) closeImportReport.addEventListener('click', e => { e.preventDefault(); this.closeImportReport(); });
+    if (cancelImportBtn) cancelImportBtn.addEventListener('click', e => { e.preventDefault(); this.closeImportReport(); });
+    if (confirmImportBtn) confirmImportBtn.addEventListener('click', e => { e.preventDefault(); this.confirmImport(); });
+
+    // Merge conflict modal
+    const closeMergeConflicts = document.getElementById('closeMergeConflicts');
+    const cancelMergeBtn = document.getElementById('cancelMergeBtn');
+    const applyMergeBtn = document.getElementById('applyMergeBtn');
+    if (closeMergeConflicts) closeMergeConflicts.addEventListener('click', e => { e.preventDefault(); this.closeMergeConflicts(); });
+    if (cancelMergeBtn) cancelMergeBtn.addEventListener('click', e => { e.preventDefault(); this.closeMergeConflicts(); });
+    if (applyMergeBtn) applyMergeBtn.addEventListener('click', e => { e.preventDefault(); this.applyPendingMerge(); });
+
     // Bond detail modal
     const closeBondDetail = document.getElementById('closeBondDetail');
     if (closeBondDetail) closeBondDetail.addEventListener('click', e => { e.preventDefault(); this.closeBondDetailModal(); });
 
+    // Bond editor
+    const addBondBtn = document.getElementById('addBondBtn');
+    const emptyAddBondBtn = document.getElementById('emptyAddBondBtn');
+    const closeBondEditor = document.getElementById('closeBondEditor');
+    const cancelBondEditBtn = document.getElementById('cancelBondEditBtn');
+    const bondEditorForm = document.getElementById('bondEditorForm');
+    if (addBondBtn) addBondBtn.addEventListener('click', e => { e.preventDefault(); this.openBondEditor(); });
+    if (emptyAddBondBtn) emptyAddBondBtn.addEventListener('click', e => { e.preventDefault(); this.openBondEditor(); });
+    if (closeBondEditor) closeBondEditor.addEventListener('click', e => { e.preventDefault(); this.closeBondEditor(); });
+    if (cancelBondEditBtn) cancelBondEditBtn.addEventListener('click', e => { e.preventDefault(); this.closeBondEditor(); });
+    if (bondEditorForm) bondEditorForm.addEventListener('submit', e => { e.preventDefault(); this.saveBondFromEditor(); });
+
     // Close modals on outside click
     const uploadModal = document.getElementById('uploadModal');
     const bondDetailModal = document.getElementById('bondDetailModal');
+    const importReportModal = document.getElementById('importReportModal');
+    const mergeConflictModal = document.getElementById('mergeConflictModal');
+    const bondEditorModal = document.getElementById('bondEditorModal');
+    const historyModal = document.getElementById('historyModal');
+    const fxModal = document.getElementById('fxModal');
+    if (fxModal) fxModal.addEventListener('click', e => { if (e.target === e.currentTarget) this.closeFxModal(); });
+    const issuerModal = document.getElementById('issuerModal');
+    if (issuerModal) issuerModal.addEventListener('click', e => { if (e.target === e.currentTarget) this.closeIssuerModal(); });
+    const limitsModal = document.getElementById('limitsModal');
+    if (limitsModal) limitsModal.addEventListener('click', e => { if (e.target === e.currentTarget) this.closeLimitsModal(); });
+    const goalModal = document.getElementById('goalModal');
+    if (goalModal) goalModal.addEventListener('click', e => { if (e.target === e.currentTarget) this.closeGoalModal(); });
+    const taxModal = document.getElementById('taxModal');
+    if (taxModal) taxModal.addEventListener('click', e => { if (e.target === e.currentTarget) this.closeTaxModal(); });
+    if (historyModal) historyModal.addEventListener('click', e => { if (e.target === e.currentTarget) this.closeHistoryModal(); });
+    if (bondEditorModal) bondEditorModal.addEventListener('click', e => { if (e.target === e.currentTarget) this.closeBondEditor(); });
+    if (mergeConflictModal) mergeConflictModal.addEventListener('click', e => { if (e.target === e.currentTarget) this.closeMergeConflicts(); });
     if (uploadModal) uploadModal.addEventListener('click', e => { if (e.target === e.currentTarget) this.closeUploadModal(); });
+    if (importReportModal) importReportModal.addEventListener('click', e => { if (e.target === e.currentTarget) this.closeImportReport(); });
     if (bondDetailModal) bondDetailModal.addEventListener('click', e => { if (e.target === e.currentTarget) this.closeBondDetailModal(); });
   }
 
@@ -228,74 +3382,972 @@ class PortfolioManager {
           "maturityDate": "2026-03-15T22:00:00Z",
           "depotBank": "Deutsche Bank"
         }
+      ],
+      etfs: [
+        {
+          "name": "Vanguard FTSE All-World UCITS ETF (Dist)",
+          "isin": "IE00B3RBWM25",
+          "wkn": "A1JX52",
+          "units": 850,
+          "costBasis": 82450,
+          "currentPrice": 131.2,
+          "distributionFrequency": 4,
+          "distributionPerUnit": 0.62,
+          "distributionDate": "2025-03-26",
+          "partialExemption": 30,
+          "depotBank": "ING"
+        }
       ]
     };
 
-    setTimeout(() => {
-      try {
-        this.data.bonds = sampleData.bonds;
-        this.saveBondsToCache();
-        this.calculateStats();
-        this.updateUI();
-        this.hideLoading();
-        this.closeUploadModal();
-        this.hideEmptyState();
-        this.switchTab('dashboard');
-      } catch (error) {
-        console.error('Error loading sample data:', error);
-        this.hideLoading();
-        alert('Error loading sample data');
-      }
-    }, 300);
+    setTimeout(() => {
+      try {
+        this.data.bonds = sampleData.bonds;
+        this.data.etfs = sampleData.etfs;
+        this.saveBondsToCache('Sample data');
+        this.calculateStats();
+        this.updateUI();
+        this.hideLoading();
+        this.closeUploadModal();
+        this.hideEmptyState();
+        this.switchTab('dashboard');
+      } catch (error) {
+        console.error('Error loading sample data:', error);
+        this.hideLoading();
+        alert('Error loading sample data');
+      }
+    }, 300);
+  }
+
+  async handleFileUpload(event, type) {
+    const file = event.target.files[0];
+    if (!file) return;
+    this.showLoading();
+    try {
+      const text = await this.readFile(file);
+      const data = JSON.parse(text);
+      // Accept a bare array, a {bonds: [...]} / {etfs: [...]} wrapper or a single record
+      const records = Array.isArray(data) ? data : (data && Array.isArray(data[type]) ? data[type] : [data]);
+      this.reviewImport(records, type);
+    } catch (error) {
+      console.error('Error reading file:', error);
+      alert('Error reading file: ' + error.message);
+    } finally {
+      this.hideLoading();
+      event.target.value = '';
+    }
+  }
+
+  applyImportedBonds(records, type = 'bonds', reason = 'Import') {
+    this.data[type] = records;
+    this.pruneExcludedBondKeys();
+
+    if (this.hasPortfolioData()) {
+      this.saveBondsToCache(reason);
+      this.calculateStats();
+      this.updateUI();
+      this.hideEmptyState();
+      this.closeUploadModal();
+      this.switchTab(type === 'etfs' ? 'etfs' : 'dashboard');
+      this.updateCharts();
+    }
+  }
+
+  // ---------- Import validation ----------
+  getImportMode() {
+    const select = document.getElementById('importMode');
+    return select && select.value === 'merge' ? 'merge' : 'replace';
+  }
+
+  reviewImport(records, type = 'bonds') {
+    const report = type === 'etfs' ? this.validateEtfRecords(records) : this.validateBondRecords(records);
+    this.pendingImport = { type, report, mode: this.getImportMode() };
+    this.renderImportReport(report, this.pendingImport.mode, type);
+    const modal = document.getElementById('importReportModal');
+    if (modal) modal.classList.remove('hidden');
+  }
+
+  confirmImport() {
+    if (!this.pendingImport) return;
+    const { type, report, mode } = this.pendingImport;
+    const bonds = [...report.accepted, ...report.fixed]
+      .sort((a, b) => a.index - b.index)
+      .map(r => r.bond);
+    this.closeImportReport();
+    if (!bonds.length) return;
+
+    if (mode === 'merge' && this.data[type].length) {
+      const plan = this.buildMergePlan(this.data[type], bonds, type);
+      if (plan.conflicts.length) {
+        this.pendingMerge = { type, plan };
+        this.renderMergeConflicts(plan);
+        const modal = document.getElementById('mergeConflictModal');
+        if (modal) modal.classList.remove('hidden');
+        return;
+      }
+      this.applyImportedBonds(this.applyMergePlan(plan), type, `Import (merge, ${bonds.length} records)`);
+      return;
+    }
+    this.applyImportedBonds(bonds, type, `Import (replace, ${bonds.length} records)`);
+  }
+
+  closeImportReport() {
+    this.pendingImport = null;
+    const modal = document.getElementById('importReportModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  // ---------- Merge import ----------
+  // Incoming records are matched by getBondKey; a match with differing fields becomes a conflict
+  buildMergePlan(existing, incoming, type = 'bonds') {
+    const plan = { type, base: [...existing], steps: [], added: 0, unchanged: 0, conflicts: [] };
+    const seen = new Map(existing.map(b => [this.getBondKey(b), b]));
+
+    incoming.forEach(bond => {
+      const key = this.getBondKey(bond);
+      const current = seen.get(key);
+      if (!current) {
+        plan.steps.push({ action: 'add', key, bond });
+        seen.set(key, bond);
+        plan.added++;
+        return;
+      }
+      const diffs = this.diffBonds(current, bond);
+      if (!diffs.length) {
+        plan.unchanged++;
+        return;
+      }
+      const conflict = { key, current, incoming: bond, diffs, resolution: 'keep' };
+      plan.conflicts.push(conflict);
+      plan.steps.push({ action: 'conflict', key, conflict });
+    });
+    return plan;
+  }
+
+  diffBonds(a, b) {
+    const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    const same = (field, x, y) => {
+      if (field === 'maturityDate') return Date.parse(x) === Date.parse(y);
+      return JSON.stringify(x ?? null) === JSON.stringify(y ?? null);
+    };
+    return fields
+      .filter(field => !same(field, a[field], b[field]))
+      .map(field => ({ field, current: a[field], incoming: b[field] }));
+  }
+
+  applyMergePlan(plan) {
+    const result = [...plan.base];
+    const indexByKey = new Map(result.map((b, i) => [this.getBondKey(b), i]));
+
+    plan.steps.forEach(step => {
+      if (step.action === 'add') {
+        indexByKey.set(step.key, result.length);
+        result.push(step.bond);
+        return;
+      }
+      const i = indexByKey.get(step.key);
+      if (i == null) return;
+      const { incoming, resolution } = step.conflict;
+      const current = result[i];
+      if (resolution === 'replace') {
+        result[i] = incoming;
+      } else if (resolution === 'sum' && plan.type === 'etfs') {
+        result[i] = {
+          ...current,
+          units: (Number(current.units) || 0) + (Number(incoming.units) || 0),
+          costBasis: (Number(current.costBasis) || 0) + (Number(incoming.costBasis) || 0)
+        };
+      } else if (resolution === 'sum') {
+        const merged = { ...current, parValue: (Number(current.parValue) || 0) + (Number(incoming.parValue) || 0) };
+        // initialPrice is the amount paid for the position, so it adds up with the nominal
+        if (Number.isFinite(current.initialPrice) && Number.isFinite(incoming.initialPrice)) {
+          merged.initialPrice = current.initialPrice + incoming.initialPrice;
+        }
+        // With a ledger on either side both become one, the other side entering as its opening buy
+        if (this.hasLedger(current) || this.hasLedger(incoming)) {
+          const ids = new Set();
+          merged.transactions = [...this.getLedgerTransactions(current), ...this.getLedgerTransactions(incoming)].map(t => {
+            const tx = ids.has(t.id) ? { ...t, id: this.generateBondId() } : t;
+            ids.add(tx.id);
+            return tx;
+          });
+        }
+        result[i] = merged;
+      }
+    });
+    return result;
+  }
+
+  renderMergeConflicts(plan) {
+    const container = document.getElementById('mergeConflictContent');
+    if (!container) return;
+
+    const fmtValue = (field, v) => {
+      if (v == null || v === '') return '—';
+      if (field === 'maturityDate' && Number.isFinite(Date.parse(v))) return new Date(v).toLocaleDateString();
+      if (typeof v === 'object') return this.escapeHtml(JSON.stringify(v));
+      return this.escapeHtml(v);
+    };
+
+    const sumLabel = plan.type === 'etfs' ? 'sum units' : 'sum nominal';
+    const conflictsHtml = plan.conflicts.map((c, i) => `
+      <div class="merge-conflict">
+        <div class="merge-conflict-title">${this.escapeHtml(c.current.name || c.incoming.name || c.key)}</div>
+        <table class="table table--no-cards table--compact">
+          <thead><tr><th>Field</th><th>Current</th><th>Incoming</th></tr></thead>
+          <tbody>
+            ${c.diffs.map(d => `
+              <tr>
+                <td>${this.escapeHtml(d.field)}</td>
+                <td class="merge-diff--current">${fmtValue(d.field, d.current)}</td>
+                <td class="merge-diff--incoming">${fmtValue(d.field, d.incoming)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <select class="form-control merge-resolution" data-index="${i}" aria-label="Resolution">
+          <option value="keep" ${c.resolution === 'keep' ? 'selected' : ''}>Keep current</option>
+          <option value="replace" ${c.resolution === 'replace' ? 'selected' : ''}>Replace with incoming</option>
+          <option value="sum" ${c.resolution === 'sum' ? 'selected' : ''}>Keep current, ${sumLabel}</option>
+        </select>
+      </div>
+    `).join('');
+
+    container.innerHTML = `
+      <p class="muted-copy">${plan.added} new, ${plan.unchanged} unchanged, ${plan.conflicts.length} conflicting position${plan.conflicts.length === 1 ? '' : 's'}.</p>
+      <div class="form-group">
+        <label class="form-label" for="mergeResolutionAll">Apply to all conflicts</label>
+        <select class="form-control" id="mergeResolutionAll">
+          <option value="">—</option>
+          <option value="keep">Keep current</option>
+          <option value="replace">Replace with incoming</option>
+          <option value="sum">Keep current, ${sumLabel}</option>
+        </select>
+      </div>
+      ${conflictsHtml}
+    `;
+
+    container.querySelectorAll('.merge-resolution').forEach(select => {
+      select.addEventListener('change', e => {
+        const conflict = plan.conflicts[Number(e.target.getAttribute('data-index'))];
+        if (conflict) conflict.resolution = e.target.value;
+      });
+    });
+    const allSelect = document.getElementById('mergeResolutionAll');
+    if (allSelect) {
+      allSelect.addEventListener('change', e => {
+        if (!e.target.value) return;
+        plan.conflicts.forEach(c => { c.resolution = e.target.value; });
+        container.querySelectorAll('.merge-resolution').forEach(select => { select.value = e.target.value; });
+      });
+    }
+  }
+
+  applyPendingMerge() {
+    if (!this.pendingMerge) return;
+    const { type, plan } = this.pendingMerge;
+    this.closeMergeConflicts();
+    this.applyImportedBonds(this.applyMergePlan(plan), type, `Import (merge, ${plan.conflicts.length} conflicts resolved)`);
+  }
+
+  closeMergeConflicts() {
+    this.pendingMerge = null;
+    const modal = document.getElementById('mergeConflictModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  validateEtfRecords(records) {
+    const report = { accepted: [], fixed: [], rejected: [] };
+    records.forEach((record, index) => {
+      const { etf, fixes, errors } = this.validateEtfRecord(record);
+      if (errors.length) report.rejected.push({ index, record, reasons: errors });
+      else if (fixes.length) report.fixed.push({ index, bond: etf, reasons: fixes });
+      else report.accepted.push({ index, bond: etf });
+    });
+    return report;
+  }
+
+  // Same contract as validateBondRecord, for ETF holdings
+  validateEtfRecord(record) {
+    const fixes = [];
+    const errors = [];
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { etf: null, fixes, errors: ['Record is not an object'] };
+    }
+    const etf = { ...record };
+
+    const toNumber = (field, label) => {
+      const raw = etf[field];
+      if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+      if (raw == null || raw === '') return null;
+      const n = this.parseGermanNumber(raw);
+      if (n != null) fixes.push(`${label} "${raw}" converted to number ${n}`);
+      return n;
+    };
+
+    ['name', 'isin', 'wkn', 'depotBank'].forEach(field => {
+      if (etf[field] != null && typeof etf[field] !== 'string') {
+        fixes.push(`${field} converted to text`);
+        etf[field] = String(etf[field]);
+      }
+    });
+    if (!etf.name && !etf.isin) errors.push('Missing name and ISIN');
+    if (etf.isin && !this.isValidIsin(etf.isin)) errors.push(`Invalid ISIN "${etf.isin}"`);
+
+    const units = toNumber('units', 'units');
+    if (units == null || units <= 0) errors.push('Missing or non-positive units');
+    else etf.units = units;
+
+    [['costBasis', 'cost basis'], ['currentPrice', 'current price'], ['distributionPerUnit', 'distribution per unit']].forEach(([field, label]) => {
+      if (etf[field] == null || etf[field] === '') return;
+      const n = toNumber(field, label);
+      if (n == null || n < 0) {
+        fixes.push(`Unusable ${label} "${etf[field]}" dropped`);
+        delete etf[field];
+      } else {
+        etf[field] = n;
+      }
+    });
+
+    if (etf.distributionFrequency != null && etf.distributionFrequency !== '') {
+      const freq = this.parseDistributionFrequency(etf.distributionFrequency);
+      if (freq == null) {
+        fixes.push(`Unknown distribution frequency "${etf.distributionFrequency}", treated as accumulating`);
+        etf.distributionFrequency = 0;
+      } else if (freq !== etf.distributionFrequency) {
+        fixes.push(`distributionFrequency "${etf.distributionFrequency}" read as ${freq}`);
+        etf.distributionFrequency = freq;
+      }
+    }
+
+    if (etf.partialExemption != null && etf.partialExemption !== '') {
+      const pct = toNumber('partialExemption', 'partial exemption');
+      if (pct == null || pct < 0 || pct > 100) {
+        fixes.push(`Unusable partial exemption "${etf.partialExemption}" dropped`);
+        delete etf.partialExemption;
+      } else {
+        etf.partialExemption = pct;
+      }
+    }
+
+    ['priceDate', 'distributionDate'].forEach(field => {
+      if (etf[field] == null || etf[field] === '') return;
+      if (Number.isFinite(Date.parse(etf[field])) && !/^\d{1,2}\./.test(String(etf[field]))) return;
+      const iso = this.parseGermanDate(etf[field]);
+      if (iso) {
+        fixes.push(`${field} "${etf[field]}" read as ${iso.slice(0, 10)}`);
+        etf[field] = iso;
+      } else {
+        fixes.push(`Unparsable ${field} "${etf[field]}" dropped`);
+        delete etf[field];
+      }
+    });
+
+    if (etf.currency != null && etf.currency !== '') {
+      const currency = String(etf.currency).trim().toUpperCase();
+      if (!/^[A-Z]{3}$/.test(currency)) {
+        fixes.push(`Unknown currency "${etf.currency}", assumed EUR`);
+        delete etf.currency;
+      } else {
+        etf.currency = currency;
+      }
+    }
+
+    return { etf, fixes, errors };
+  }
+
+  validateBondRecords(records) {
+    const report = { accepted: [], fixed: [], rejected: [] };
+    records.forEach((record, index) => {
+      const { bond, fixes, errors } = this.validateBondRecord(record);
+      if (errors.length) report.rejected.push({ index, record, reasons: errors });
+      else if (fixes.length) report.fixed.push({ index, bond, reasons: fixes });
+      else report.accepted.push({ index, bond });
+    });
+    return report;
+  }
+
+  // Returns a cleaned copy of the record; safe coercions go to `fixes`, anything unusable to `errors`
+  validateBondRecord(record) {
+    const fixes = [];
+    const errors = [];
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { bond: null, fixes, errors: ['Record is not an object'] };
+    }
+    const bond = { ...record };
+
+    const toNumber = (field, label) => {
+      const raw = bond[field];
+      if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+      if (raw == null || raw === '') return null;
+      const n = this.parseGermanNumber(raw);
+      if (n != null) fixes.push(`${label} "${raw}" converted to number ${n}`);
+      return n;
+    };
+
+    ['name', 'issuer', 'isin', 'wkn', 'depotBank'].forEach(field => {
+      if (bond[field] != null && typeof bond[field] !== 'string') {
+        fixes.push(`${field} converted to text`);
+        bond[field] = String(bond[field]);
+      }
+      if (typeof bond[field] === 'string' && bond[field] !== bond[field].trim()) {
+        bond[field] = bond[field].trim();
+      }
+    });
+    if (bond.isin && bond.isin !== bond.isin.toUpperCase()) {
+      bond.isin = bond.isin.toUpperCase();
+      fixes.push('ISIN upper-cased');
+    }
+
+    if (!bond.name) {
+      if (bond.isin) {
+        bond.name = bond.isin;
+        fixes.push('Missing name, using ISIN');
+      } else {
+        errors.push('Missing name and ISIN');
+      }
+    }
+    if (!bond.issuer && bond.name) {
+      const guessed = this.guessIssuerFromName(bond.name);
+      if (guessed) {
+        bond.issuer = guessed;
+        fixes.push(`Missing issuer, derived "${guessed}" from name`);
+      }
+    }
+
+    // Maturity
+    if (bond.maturityDate == null || bond.maturityDate === '') {
+      errors.push('Missing maturityDate');
+    } else if (typeof bond.maturityDate === 'number' && Number.isFinite(bond.maturityDate)) {
+      bond.maturityDate = new Date(bond.maturityDate).toISOString();
+      fixes.push('maturityDate timestamp converted to date');
+    } else if (typeof bond.maturityDate !== 'string' || !Number.isFinite(Date.parse(bond.maturityDate)) || /^\d{1,2}\.\d{1,2}\./.test(bond.maturityDate)) {
+      const parsed = this.parseGermanDate(bond.maturityDate);
+      if (parsed) {
+        fixes.push(`maturityDate "${bond.maturityDate}" read as ${new Date(parsed).toLocaleDateString()}`);
+        bond.maturityDate = parsed;
+      } else {
+        errors.push(`Invalid maturityDate "${bond.maturityDate}"`);
+      }
+    }
+
+    // Transaction ledger: unusable entries are dropped, the position is derived from the rest
+    if (bond.transactions != null) {
+      const list = Array.isArray(bond.transactions) ? bond.transactions : [];
+      const clean = list.map(t => this.normalizeTransaction(t)).filter(Boolean);
+      const dropped = Array.isArray(bond.transactions) ? list.length - clean.length : 1;
+      if (dropped) fixes.push(`${dropped} invalid transaction${dropped === 1 ? '' : 's'} removed`);
+      if (clean.length) bond.transactions = clean;
+      else delete bond.transactions;
+      const oversell = clean.length ? this.findLedgerOversell(clean) : null;
+      if (oversell) errors.push(`Transactions: ${this.describeOversell(bond, oversell)}`);
+    }
+
+    // Par value (the ledger's final nominal when there is one, kept as its fallback)
+    if (this.hasLedger(bond)) {
+      bond.parValue = this.getLedgerPosition(bond, null).nominal;
+    } else {
+      const par = toNumber('parValue', 'parValue');
+      if (par == null) errors.push('Missing or invalid parValue');
+      else if (par <= 0) errors.push(`parValue must be positive (got ${par})`);
+      else bond.parValue = par;
+    }
+
+    // Coupon (zero-coupon bonds are legitimate, so a missing coupon is a fix, not an error)
+    if (bond.couponRate == null || bond.couponRate === '') {
+      bond.couponRate = 0;
+      fixes.push('Missing couponRate, assumed 0%');
+    } else {
+      const rate = toNumber('couponRate', 'couponRate');
+      if (rate == null) errors.push(`Invalid couponRate "${bond.couponRate}"`);
+      else if (rate < 0 || rate > 100) errors.push(`couponRate out of range (${rate}%)`);
+      else bond.couponRate = rate;
+    }
+
+    // Optional numeric fields: coerce when possible, drop otherwise
+    [['yieldToMaturity', 'yieldToMaturity'], ['initialPrice', 'initialPrice']].forEach(([field, label]) => {
+      if (bond[field] == null || bond[field] === '') return;
+      const n = toNumber(field, label);
+      if (n == null) {
+        fixes.push(`Invalid ${label} "${bond[field]}" removed`);
+        delete bond[field];
+      } else {
+        bond[field] = n;
+      }
+    });
+
+    if (bond.currency != null && bond.currency !== '') {
+      const currency = String(bond.currency).trim().toUpperCase().replace('€', 'EUR').replace('$', 'USD').replace('£', 'GBP');
+      if (!/^[A-Z]{3}$/.test(currency)) {
+        fixes.push(`Unknown currency "${bond.currency}", assumed EUR`);
+        delete bond.currency;
+      } else if (currency !== bond.currency) {
+        fixes.push(`currency "${bond.currency}" read as ${currency}`);
+        bond.currency = currency;
+      }
+    }
+
+    // Coupon schedule fields
+    if (bond.couponFrequency != null && bond.couponFrequency !== '') {
+      const freq = this.parseCouponFrequency(bond.couponFrequency);
+      if (freq == null) {
+        fixes.push(`Unknown couponFrequency "${bond.couponFrequency}", assumed annual`);
+        delete bond.couponFrequency;
+      } else if (freq !== bond.couponFrequency) {
+        fixes.push(`couponFrequency "${bond.couponFrequency}" read as ${freq}x per year`);
+        bond.couponFrequency = freq;
+      }
+    }
+    if (bond.dayCount != null && bond.dayCount !== '') {
+      const dayCount = this.parseDayCount(bond.dayCount);
+      if (!dayCount) {
+        fixes.push(`Unknown dayCount "${bond.dayCount}", assumed ACT/ACT`);
+        delete bond.dayCount;
+      } else if (dayCount !== bond.dayCount) {
+        fixes.push(`dayCount "${bond.dayCount}" read as ${dayCount}`);
+        bond.dayCount = dayCount;
+      }
+    }
+    if (bond.endOfMonth != null && bond.endOfMonth !== true) {
+      const flag = String(bond.endOfMonth).trim().toLowerCase();
+      if (['true', '1', 'yes', 'ja', 'j'].includes(flag)) {
+        fixes.push(`endOfMonth "${bond.endOfMonth}" read as true`);
+        bond.endOfMonth = true;
+      } else {
+        delete bond.endOfMonth;
+      }
+    }
+    ['issueDate', 'firstCouponDate', 'purchaseDate'].forEach(field => {
+      if (bond[field] == null || bond[field] === '') return;
+      if (typeof bond[field] === 'string' && Number.isFinite(Date.parse(bond[field])) && !/^\d{1,2}\.\d{1,2}\./.test(bond[field])) return;
+      const parsed = this.parseGermanDate(bond[field]);
+      if (parsed) {
+        fixes.push(`${field} "${bond[field]}" read as ${new Date(parsed).toLocaleDateString()}`);
+        bond[field] = parsed;
+      } else {
+        fixes.push(`Invalid ${field} "${bond[field]}" removed`);
+        delete bond[field];
+      }
+    });
+
+    return { bond: errors.length ? null : bond, fixes, errors };
+  }
+
+  renderImportReport(report, mode = 'replace', type = 'bonds') {
+    const container = document.getElementById('importReportContent');
+    const confirmBtn = document.getElementById('confirmImportBtn');
+    if (!container) return;
+
+    const total = report.accepted.length + report.fixed.length + report.rejected.length;
+    const importable = report.accepted.length + report.fixed.length;
+    const label = (r) => {
+      const b = r.bond || r.record || {};
+      const name = (b && typeof b === 'object' && (b.name || b.isin)) || 'Unnamed record';
+      return `#${r.index + 1} ${this.escapeHtml(name)}`;
+    };
+    const group = (title, items, withReasons) => items.length ? `
+      <div class="import-group">
+        <h4>${title} (${items.length})</h4>
+        <ul class="import-list">
+          ${items.map(r => `
+            <li>
+              <div class="import-record">${label(r)}</div>
+              ${withReasons ? `<ul class="import-reasons">${r.reasons.map(x => `<li>${this.escapeHtml(x)}</li>`).join('')}</ul>` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    ` : '';
+
+    container.innerHTML = `
+      <div class="import-summary">
+        <span class="status status--success">${report.accepted.length} accepted</span>
+        <span class="status status--warning">${report.fixed.length} fixed</span>
+        <span class="status status--error">${report.rejected.length} rejected</span>
+      </div>
+      <p class="muted-copy">${importable} of ${total} records can be imported.${report.rejected.length ? ' Rejected records will be skipped.' : ''}
+        ${mode === 'merge' ? 'They will be merged into the current' : 'They will replace the current'} ${type === 'etfs' ? 'ETF holdings' : 'portfolio'}.</p>
+      ${group('Rejected', report.rejected, true)}
+      ${group('Fixed', report.fixed, true)}
+      ${group('Accepted', report.accepted, false)}
+    `;
+
+    if (confirmBtn) {
+      confirmBtn.disabled = importable === 0;
+      confirmBtn.textContent = importable ? `Import ${importable} record${importable === 1 ? '' : 's'}` : 'Nothing to import';
+    }
   }
 
-  async handleFileUpload(event, type) {
+  readFile(file, encoding = 'utf-8') {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = e => resolve(e.target.result);
+      reader.onerror = reject;
+      reader.readAsText(file, encoding);
+    });
+  }
+
+  // ---------- CSV import (broker depot statements) ----------
+  getCsvFields() {
+    // Header aliases are compared lower-cased with whitespace collapsed
+    return [
+      { field: 'isin',         label: 'ISIN',          required: true,  aliases: ['isin'] },
+      { field: 'wkn',          label: 'WKN',           required: false, aliases: ['wkn'] },
+      { field: 'name',         label: 'Name',          required: true,  aliases: ['bezeichnung', 'wertpapier', 'wertpapiername', 'wertpapierbezeichnung', 'name', 'gattungsbezeichnung', 'gattung'] },
+      { field: 'issuer',       label: 'Issuer',        required: false, aliases: ['emittent', 'issuer', 'aussteller'] },
+      { field: 'parValue',     label: 'Nominal',       required: true,  aliases: ['nominale', 'nominal', 'nennwert', 'stück/nominale', 'stück/nom.', 'stück / nominale', 'bestand', 'menge', 'anzahl', 'stück'] },
+      { field: 'couponRate',   label: 'Coupon (%)',    required: false, aliases: ['zinssatz', 'kupon', 'zins', 'coupon', 'nominalzins', 'zinssatz in %'] },
+      { field: 'maturityDate', label: 'Maturity',      required: true,  aliases: ['fälligkeit', 'fälligkeitsdatum', 'faelligkeit', 'laufzeit', 'endfälligkeit', 'rückzahlung', 'maturity'] },
+      { field: 'couponFrequency', label: 'Coupon frequency', required: false, aliases: ['zinszahlungsweise', 'zahlungsweise', 'kuponfrequenz', 'zinsfrequenz', 'coupon frequency', 'frequency'] },
+      { field: 'dayCount',     label: 'Day count',     required: false, aliases: ['zinsmethode', 'zinsberechnungsmethode', 'day count', 'daycount', 'zinskonvention'] },
+      { field: 'purchaseDate', label: 'Purchase date', required: false, aliases: ['kaufdatum', 'erwerbsdatum', 'einstandsdatum', 'purchase date'] },
+      { field: 'initialPrice', label: 'Purchase amount', required: false, aliases: ['kurswert', 'einstandswert', 'kaufwert', 'anschaffungswert', 'einstand'] },
+      { field: 'currency',     label: 'Currency',      required: false, aliases: ['währung', 'waehrung', 'whg', 'whg.', 'currency', 'nominalwährung'] },
+      { field: 'depotBank',    label: 'Depot',         required: false, aliases: ['depot', 'depotbank', 'bank', 'lagerstelle', 'depotnummer'] }
+    ];
+  }
+
+  async handleCsvUpload(event) {
     const file = event.target.files[0];
     if (!file) return;
     this.showLoading();
     try {
-      const text = await this.readFile(file);
-      const data = JSON.parse(text);
-      this.data[type] = Array.isArray(data) ? data : [data];
+      let text = await this.readFile(file);
+      // German bank exports are frequently Windows-1252 rather than UTF-8
+      if (text.includes('\uFFFD')) text = await this.readFile(file, 'windows-1252');
 
-      if (this.data.bonds.length > 0) {
-        this.saveBondsToCache();
-        this.calculateStats();
-        this.updateUI();
-        this.hideEmptyState();
-        this.closeUploadModal();
-        this.switchTab('dashboard');
-        this.updateCharts();
-      }
+      const rows = this.parseCsv(text);
+      const headerIndex = this.findCsvHeaderRow(rows);
+      if (headerIndex < 0) throw new Error('No header row found in CSV');
+
+      const headers = rows[headerIndex].map(h => h.trim());
+      const dataRows = rows.slice(headerIndex + 1).filter(r => r.some(c => c.trim() !== ''));
+      if (!dataRows.length) throw new Error('CSV contains no data rows');
+
+      this.csvImport = { fileName: file.name, headers, rows: dataRows };
+      this.renderCsvMapping(this.guessCsvMapping(headers), this.guessDepotFromFileName(file.name));
     } catch (error) {
-      console.error('Error reading file:', error);
-      alert('Error reading file: ' + error.message);
+      console.error('Error reading CSV:', error);
+      alert('Error reading CSV: ' + error.message);
     } finally {
       this.hideLoading();
+      event.target.value = '';
     }
   }
 
-  readFile(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = e => resolve(e.target.result);
-      reader.onerror = reject;
-      reader.readAsText(file);
+  parseCsv(text) {
+    const src = text.replace(/^\uFEFF/, '');
+    const firstLines = src.split(/\r?\n/).slice(0, 20).join('\n');
+    const count = ch => firstLines.split(ch).length - 1;
+    const delimiter = [';', '\t', ','].reduce((best, d) => (count(d) > count(best) ? d : best), ';');
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (inQuotes) {
+        if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') inQuotes = false;
+        else cell += ch;
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === delimiter) {
+        row.push(cell); cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++;
+        row.push(cell); rows.push(row);
+        row = []; cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+    return rows;
+  }
+
+  normalizeCsvHeader(header) {
+    return String(header || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // Broker exports often start with a few lines of account info before the real header
+  findCsvHeaderRow(rows) {
+    const aliases = new Set(this.getCsvFields().flatMap(f => f.aliases));
+    let fallback = -1;
+    for (let i = 0; i < rows.length; i++) {
+      const cells = rows[i].map(c => this.normalizeCsvHeader(c));
+      if (fallback < 0 && cells.filter(Boolean).length > 1) fallback = i;
+      if (cells.filter(c => aliases.has(c)).length >= 2) return i;
+    }
+    return fallback;
+  }
+
+  guessCsvMapping(headers) {
+    const normalized = headers.map(h => this.normalizeCsvHeader(h));
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(this.CACHE_KEY_CSV_MAPPING) || '{}') || {};
+    } catch {}
+
+    const mapping = {};
+    this.getCsvFields().forEach(({ field, aliases }) => {
+      // Prefer the mapping the user confirmed last time, if that column still exists
+      if (saved[field] && headers.includes(saved[field])) {
+        mapping[field] = saved[field];
+        return;
+      }
+      const idx = normalized.findIndex(h => aliases.includes(h));
+      const partialIdx = idx >= 0 ? idx : normalized.findIndex(h => aliases.some(a => a.length > 3 && h.startsWith(a)));
+      mapping[field] = partialIdx >= 0 ? headers[partialIdx] : '';
+    });
+    return mapping;
+  }
+
+  guessDepotFromFileName(fileName) {
+    const name = String(fileName || '').toLowerCase();
+    if (name.includes('comdirect')) return 'comdirect';
+    if (name.includes('deutsche') || name.includes('db_') || name.includes('maxblue')) return 'Deutsche Bank';
+    if (/(^|[^a-z])ing([^a-z]|$)/.test(name)) return 'ING';
+    return '';
+  }
+
+  renderCsvMapping(mapping, depotDefault) {
+    const panel = document.getElementById('csvMappingPanel');
+    const fieldsEl = document.getElementById('csvMappingFields');
+    const info = document.getElementById('csvMappingInfo');
+    const depotInput = document.getElementById('csvDepotDefault');
+    if (!panel || !fieldsEl || !this.csvImport) return;
+
+    const { fileName, headers, rows } = this.csvImport;
+    if (info) info.textContent = `${fileName}: ${rows.length} rows, ${headers.length} columns. Check which column holds each field.`;
+
+    // Options carry the column index; header text comes from the file and is escaped
+    fieldsEl.innerHTML = this.getCsvFields().map(({ field, label, required }) => `
+      <div class="form-group csv-mapping-row">
+        <label class="form-label" for="csvMap_${field}">${label}${required ? ' *' : ''}</label>
+        <select class="form-control" id="csvMap_${field}" data-field="${field}">
+          <option value="">— not mapped —</option>
+          ${headers.map((h, i) => `<option value="${i}" ${headers.indexOf(mapping[field]) === i ? 'selected' : ''}>${this.escapeHtml(h)}</option>`).join('')}
+        </select>
+      </div>
+    `).join('');
+
+    // Each file starts from its own guess, not the depot of the previous import
+    if (depotInput) depotInput.value = depotDefault || '';
+    panel.classList.remove('hidden');
+  }
+
+  readCsvMappingForm() {
+    const mapping = {};
+    const headers = this.csvImport ? this.csvImport.headers : [];
+    document.querySelectorAll('#csvMappingFields select[data-field]').forEach(select => {
+      mapping[select.getAttribute('data-field')] = select.value === '' ? '' : headers[Number(select.value)] || '';
+    });
+    return mapping;
+  }
+
+  importCsvWithMapping() {
+    if (!this.csvImport) return;
+    const mapping = this.readCsvMappingForm();
+    const missing = this.getCsvFields().filter(f => f.required && !mapping[f.field]).map(f => f.label);
+    if (missing.length) {
+      alert('Please map the required columns: ' + missing.join(', '));
+      return;
+    }
+
+    const depotInput = document.getElementById('csvDepotDefault');
+    const depotDefault = depotInput ? depotInput.value.trim() : '';
+    const bonds = this.mapCsvRowsToBonds(this.csvImport.headers, this.csvImport.rows, mapping, depotDefault);
+    if (!bonds.length) {
+      alert('No bond rows could be read with this mapping.');
+      return;
+    }
+
+    try {
+      localStorage.setItem(this.CACHE_KEY_CSV_MAPPING, JSON.stringify(mapping));
+    } catch {}
+
+    this.csvImport = null;
+    const panel = document.getElementById('csvMappingPanel');
+    if (panel) panel.classList.add('hidden');
+    this.reviewImport(bonds);
+  }
+
+  mapCsvRowsToBonds(headers, rows, mapping, depotDefault = '') {
+    const col = {};
+    Object.entries(mapping).forEach(([field, header]) => {
+      col[field] = header ? headers.indexOf(header) : -1;
     });
+    const cell = (row, field) => (col[field] >= 0 ? String(row[col[field]] ?? '').trim() : '');
+
+    return rows
+      .map(row => {
+        const name = cell(row, 'name');
+        const isin = cell(row, 'isin').toUpperCase();
+        const wkn = cell(row, 'wkn').toUpperCase();
+        if (!isin && !wkn) return null; // totals / footer lines
+
+        const couponCell = cell(row, 'couponRate');
+        // Depot statements often only carry the coupon inside the name, e.g. "1,077% BP Capital Markets PLC 2025"
+        const nameCoupon = name.match(/^\s*([\d.,]+)\s*%/);
+        const couponRate = this.parseGermanNumber(couponCell || (nameCoupon ? nameCoupon[1] : ''));
+
+        return {
+          isin,
+          wkn,
+          name,
+          issuer: cell(row, 'issuer') || this.guessIssuerFromName(name),
+          parValue: this.parseGermanNumber(cell(row, 'parValue')),
+          couponRate,
+          maturityDate: this.parseGermanDate(cell(row, 'maturityDate')),
+          depotBank: cell(row, 'depotBank') || depotDefault,
+          ...(cell(row, 'currency') ? { currency: cell(row, 'currency') } : {}),
+          ...(cell(row, 'couponFrequency') ? { couponFrequency: cell(row, 'couponFrequency') } : {}),
+          ...(cell(row, 'dayCount') ? { dayCount: cell(row, 'dayCount') } : {}),
+          ...(cell(row, 'purchaseDate') ? { purchaseDate: this.parseGermanDate(cell(row, 'purchaseDate')) || cell(row, 'purchaseDate') } : {}),
+          ...(cell(row, 'initialPrice') ? { initialPrice: this.parseGermanNumber(cell(row, 'initialPrice')) } : {})
+        };
+      })
+      .filter(Boolean);
+  }
+
+  guessIssuerFromName(name) {
+    // "2,5% Deutsche Bank AG 2026" -> "Deutsche Bank AG"
+    return String(name || '')
+      .replace(/^\s*[\d.,]+\s*%\s*/, '')
+      .replace(/\s+(\d{2}\/)?\d{2,4}(\s*\(.*\))?\s*$/, '')
+      .trim();
+  }
+
+  // "1.000,00" -> 1000, "1,077 %" -> 1.077, "100.000 EUR" -> 100000, "1000.5" -> 1000.5
+  parseGermanNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    let s = String(value ?? '').replace(/[^\d,.\-]/g, '');
+    if (!s || !/\d/.test(s)) return null;
+    if (s.includes(',')) {
+      s = s.replace(/\./g, '').replace(',', '.');
+    } else if (/^-?\d{1,3}(\.\d{3})+$/.test(s)) {
+      s = s.replace(/\./g, '');
+    }
+    const n = Number(s);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  // Rates and prices: a single dot is a decimal point ("99.125" -> 99.125, "4.125" -> 4.125);
+  // German notation and multi-group thousands ("1.000.000") go through parseGermanNumber
+  parseDecimal(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const s = String(value ?? '').replace(/[^\d,.\-]/g, '');
+    if (/^-?\d*\.\d+$/.test(s)) {
+      const n = Number(s);
+      return Number.isFinite(n) ? n : null;
+    }
+    return this.parseGermanNumber(value);
+  }
+
+  // "99.125" could be 99125 (German thousands) or 99.125 (decimal point)
+  isAmbiguousNumber(value) {
+    return typeof value === 'string' && /^-?\d{1,3}\.\d{3}$/.test(value.trim());
+  }
+
+  // "25.06.2025" / "25.06.25" / "2025-06-25" -> ISO timestamp at local midnight
+  parseGermanDate(value) {
+    const s = String(value ?? '').trim();
+    if (!s) return null;
+    let y, m, d;
+    const de = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/);
+    const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (de) {
+      d = Number(de[1]); m = Number(de[2]); y = Number(de[3]);
+      if (y < 100) y += 2000;
+    } else if (iso) {
+      if (s.length > 10) {
+        const t = Date.parse(s);
+        return Number.isFinite(t) ? new Date(t).toISOString() : null;
+      }
+      y = Number(iso[1]); m = Number(iso[2]); d = Number(iso[3]);
+    } else {
+      return null;
+    }
+    const date = new Date(y, m - 1, d);
+    if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+    return date.toISOString();
   }
 
   // -------- Stats (bonds only) --------
   calculateStats() {
-    const activeBonds = this.getDashboardBonds(new Date());
-    const totalPrincipal = activeBonds.reduce((sum, b) => sum + (b.parValue || 0), 0);
-    const averageYield = activeBonds.length
-      ? activeBonds.reduce((s, b) => s + (b.yieldToMaturity || 0), 0) / activeBonds.length
-      : 0;
+    this.taxCache.clear();
+    const asOf = this.getAsOfDate();
+    const activeBonds = this.getDashboardBonds(asOf);
+    const totalPrincipal = activeBonds.reduce((sum, b) => sum + this.getParInBase(b), 0);
+    const dashboardEtfs = this.getDashboardEtfs();
+    const limitBreaches = this.getLimitBreaches(activeBonds);
+    this.limitBreachesByBond = new Map();
+    // Keyed by the bond object: same-ISIN positions at two banks share a bond key but not a breach
+    limitBreaches.forEach(breach => breach.bonds.forEach(bond => {
+      if (!this.limitBreachesByBond.has(bond)) this.limitBreachesByBond.set(bond, []);
+      this.limitBreachesByBond.get(bond).push(breach);
+    }));
+    const etfValue = dashboardEtfs.reduce((sum, e) => sum + this.getEtfValueInBase(e), 0);
+    // Par- or cost-weighted, over the bonds that have a yield at all
+    let yieldWeight = 0;
+    let weightedYield = 0;
+    activeBonds.forEach(b => {
+      const y = this.getBondYield(b);
+      if (y == null) return;
+      const w = this.getYieldWeight(b);
+      yieldWeight += w;
+      weightedYield += w * y;
+    });
+    const averageYield = yieldWeight > 0 ? weightedYield / yieldWeight : 0;
+    const yieldMismatches = activeBonds.filter(b => this.hasYieldMismatch(b)).length;
+    const totalAccrued = activeBonds.reduce((sum, b) => sum + this.toBaseCurrency(this.calculateAccruedInterest(b, asOf), b), 0);
+    // Realised results come from every ledger position in the dashboard scope, sold-out ones included
+    const ledgerPositions = this.filterDashboardScope(this.data.bonds.filter(b => this.hasLedger(b)))
+      .map(b => ({ bond: b, pos: this.getLedgerPosition(b, asOf) }));
+    const realisedGains = ledgerPositions.reduce((sum, { bond, pos }) => sum + this.toBaseCurrency(pos.realised, bond), 0);
+    const couponsReceived = ledgerPositions.reduce((sum, { bond, pos }) => sum + this.toBaseCurrency(pos.coupons, bond), 0);
+    // Mark-to-market over the bonds that have a price; P/L only where the purchase amount is known too
+    const pricedBonds = activeBonds.filter(b => this.getMarketPrice(b, asOf));
+    const marketValue = pricedBonds.reduce((sum, b) => sum + this.toBaseCurrency(this.getMarketValue(b), b), 0);
+    const unrealisedPnl = pricedBonds.reduce((sum, b) => {
+      const pnl = this.getUnrealisedPnl(b);
+      return pnl == null ? sum : sum + this.toBaseCurrency(pnl, b);
+    }, 0);
+
+    // Portfolio duration/convexity are present-value weighted averages of the bond figures
+    let riskWeight = 0;
+    const risk = { macaulay: 0, modified: 0, convexity: 0 };
+    activeBonds.forEach(b => {
+      const m = this.calculateRiskMetrics(b, asOf);
+      if (!m) return;
+      const pv = this.toBaseCurrency(m.presentValue, b);
+      riskWeight += pv;
+      risk.macaulay += pv * m.macaulay;
+      risk.modified += pv * m.modified;
+      risk.convexity += pv * m.convexity;
+    });
 
     this.data.stats = {
       activeBonds: activeBonds.length,
       totalPrincipal,
-      averageYield
+      limitBreaches,
+      etfCount: dashboardEtfs.length,
+      etfValue,
+      portfolioValue: totalPrincipal + etfValue,
+      averageYield,
+      yieldMismatches,
+      totalAccrued,
+      marketValue,
+      pricedBonds: pricedBonds.length,
+      unrealisedPnl,
+      ledgerPositions: ledgerPositions.length,
+      realisedGains,
+      couponsReceived,
+      macaulayDuration: riskWeight > 0 ? risk.macaulay / riskWeight : 0,
+      modifiedDuration: riskWeight > 0 ? risk.modified / riskWeight : 0,
+      convexity: riskWeight > 0 ? risk.convexity / riskWeight : 0
     };
   }
 
@@ -305,19 +4357,75 @@ class PortfolioManager {
     this.updateCharts();
     this.updateFilters();
     this.updateInterestFilters();
+    this.updateEtfFilters();
     this.renderBonds();
+    this.renderEtfs();
     this.renderInterestTimeline();
+    this.renderPerformance();
+    this.updateReminders();
   }
 
   updateStats() {
-    const { totalPrincipal, activeBonds, averageYield } = this.data.stats;
+    const { totalPrincipal, activeBonds, averageYield, yieldMismatches, totalAccrued, macaulayDuration, modifiedDuration, convexity } = this.data.stats;
     const totalPrincipalEl = document.getElementById('totalPrincipal');
     const activeBondsEl = document.getElementById('activeBonds');
     const avgYieldEl = document.getElementById('avgYield');
+    const totalAccruedEl = document.getElementById('totalAccrued');
 
     if (totalPrincipalEl) totalPrincipalEl.textContent = this.formatCurrency(totalPrincipal || 0);
+    const etfValueEl = document.getElementById('etfValue');
+    const etfCountEl = document.getElementById('etfCountLabel');
+    const portfolioValueEl = document.getElementById('portfolioValue');
+    if (etfValueEl) etfValueEl.textContent = this.formatCurrency(this.data.stats.etfValue || 0);
+    if (etfCountEl) etfCountEl.textContent = `ETFs (${this.data.stats.etfCount || 0})`;
+    if (portfolioValueEl) portfolioValueEl.textContent = this.formatCurrency(this.data.stats.portfolioValue || 0);
     if (activeBondsEl)  activeBondsEl.textContent = activeBonds ?? 0;
     if (avgYieldEl)     avgYieldEl.textContent = (averageYield ?? 0).toFixed(2) + '%';
+    const avgYieldLabel = document.getElementById('avgYieldLabel');
+    if (avgYieldLabel) avgYieldLabel.textContent = this.filters.dashboard.yieldWeighting === 'cost' ? 'Avg Yield (cost-weighted)' : 'Avg Yield (par-weighted)';
+    const yieldNote = document.getElementById('yieldMismatchNote');
+    if (yieldNote) {
+      yieldNote.textContent = yieldMismatches ? `⚠ ${yieldMismatches} differ from file` : '';
+      yieldNote.classList.toggle('hidden', !yieldMismatches);
+    }
+    if (totalAccruedEl) totalAccruedEl.textContent = this.formatCurrency(totalAccrued || 0);
+
+    const { marketValue, pricedBonds, unrealisedPnl } = this.data.stats;
+    const marketValueEl = document.getElementById('marketValue');
+    const marketValueNote = document.getElementById('marketValueNote');
+    if (marketValueEl) marketValueEl.textContent = pricedBonds ? this.formatCurrency(marketValue || 0) : '—';
+    if (marketValueNote) {
+      marketValueNote.textContent = pricedBonds
+        ? `${pricedBonds}/${activeBonds} priced · P/L ${unrealisedPnl >= 0 ? '+' : ''}${this.formatCurrency(unrealisedPnl || 0, this.getBaseCurrency(), { maximumFractionDigits: 0 })}`
+        : 'No prices yet';
+      marketValueNote.classList.toggle('stat-note--loss', pricedBonds > 0 && unrealisedPnl < 0);
+    }
+    const { ledgerPositions, realisedGains, couponsReceived } = this.data.stats;
+    const realisedEl = document.getElementById('realisedGains');
+    const realisedNote = document.getElementById('realisedGainsNote');
+    if (realisedEl) realisedEl.textContent = ledgerPositions ? this.formatCurrency(realisedGains || 0) : '—';
+    if (realisedNote) {
+      realisedNote.textContent = ledgerPositions
+        ? `+ ${this.formatCurrency(couponsReceived || 0, this.getBaseCurrency(), { maximumFractionDigits: 0 })} coupons received`
+        : 'No transactions yet';
+      realisedNote.classList.toggle('stat-note--loss', ledgerPositions > 0 && realisedGains < 0);
+    }
+
+    const macaulayEl = document.getElementById('macaulayDuration');
+    const modifiedEl = document.getElementById('modifiedDuration');
+    const convexityEl = document.getElementById('portfolioConvexity');
+    if (macaulayEl)  macaulayEl.textContent = (macaulayDuration ?? 0).toFixed(2) + ' y';
+    if (modifiedEl)  modifiedEl.textContent = (modifiedDuration ?? 0).toFixed(2);
+    if (convexityEl) convexityEl.textContent = (convexity ?? 0).toFixed(2);
+
+    this.renderAlerts();
+
+    const fxWarning = document.getElementById('fxWarning');
+    if (fxWarning) {
+      const missing = this.getMissingFxCurrencies([...this.getDashboardBonds(), ...this.getDashboardEtfs()]);
+      fxWarning.textContent = missing.length ? `⚠ No FX rate for ${missing.join(', ')} – amounts counted 1:1 in ${this.getBaseCurrency()}.` : '';
+      fxWarning.classList.toggle('hidden', !missing.length);
+    }
   }
 
 updateCharts() {
@@ -327,15 +4435,35 @@ updateCharts() {
 
   requestAnimationFrame(() => {
     requestAnimationFrame(() => {
-      this.createMaturityTable();   // table in EUR with % of total + per-year yield
-      this.createInterestChart();   // bar chart + â‚¬150k reference line
+      this.createMaturityTable();   // table in base currency with % of total + per-year yield
+      this.createLadderAnalysis();  // gaps against the target ladder profile
+      this.createInterestChart();   // bar chart + income goal line
+      this.createGoalPanel();       // surplus/shortfall against the income goal
       this.createIssuerTable(); // Table of issuers
+      this.createMetadataBreakdowns(); // Rating / sector / country from the issuer master
+      this.createAllocationTable(); // Bonds vs. ETFs
+      this.createTaxSummary();  // Withholding tax per depot for the selected year
     });
   });
 }
 
-  getDashboardBonds(asOf = new Date()) {
-    let bonds = this.getActiveBonds(asOf);
+  // Principal (base currency) grouped by the year the bonds mature
+  getPrincipalByMaturityYear(bonds) {
+    const byYear = {};
+    bonds.forEach(b => {
+      const y = new Date(b.maturityDate).getFullYear();
+      if (!Number.isFinite(y)) return;
+      byYear[y] = (byYear[y] || 0) + this.getParInBase(b);
+    });
+    return byYear;
+  }
+
+  getDashboardBonds(asOf = this.getAsOfDate()) {
+    return this.filterDashboardScope(this.getActiveBonds(asOf));
+  }
+
+  // Dashboard bank filter and exclusions, without the active check
+  filterDashboardScope(bonds) {
     const selectedBanks = this.filters.dashboard.banks || [];
     const excludedKeys = new Set(this.filters.dashboard.excludedBondKeys || []);
     bonds = bonds.filter(b => !excludedKeys.has(this.getBondKey(b)));
@@ -355,7 +4483,7 @@ updateCharts() {
 
     const issuerData = {};
     this.getActiveBonds().forEach(b => {
-      issuerData[b.issuer] = (issuerData[b.issuer] || 0) + (b.parValue || 0);
+      issuerData[b.issuer] = (issuerData[b.issuer] || 0) + this.getParInBase(b);
     });
 
     this.charts.composition = new Chart(ctx, {
@@ -387,12 +4515,7 @@ updateCharts() {
       }
     
       // Group principal that MATURES in year Y
-      const byYearPrincipal = {};
-      active.forEach(b => {
-        const y = new Date(b.maturityDate).getFullYear();
-        const par = Number(b.parValue) || 0;
-        byYearPrincipal[y] = (byYearPrincipal[y] || 0) + par;
-      });
+      const byYearPrincipal = this.getPrincipalByMaturityYear(active);
     
       const years = Object.keys(byYearPrincipal).map(Number).sort((a,b)=>a-b);
       if (!years.length) {
@@ -401,9 +4524,8 @@ updateCharts() {
       }
     
       // Formatters
-      const fmtEUR = (v) => new Intl.NumberFormat('de-DE', {
-        style: 'currency', currency: 'EUR', maximumFractionDigits: 0
-      }).format(v);
+      const base = this.getBaseCurrency();
+      const fmtBase = (v) => this.formatCurrency(v, base, { maximumFractionDigits: 0 });
       const fmtPct0 = (v) => new Intl.NumberFormat('de-DE', {
         maximumFractionDigits: 0
       }).format(v * 100) + '%';
@@ -415,23 +4537,18 @@ updateCharts() {
       const principalOutstandingInYear = (Y) =>
         active.reduce((sum, b) => {
           const matY = new Date(b.maturityDate).getFullYear();
-          const par  = Number(b.parValue) || 0;
+          const par  = this.getParInBase(b);
           return matY >= Y ? sum + par : sum;
         }, 0);
     
-      // Interest expected in year Y = Î£(par * coupon%) for bonds active in Y
+      // Interest expected in year Y = Î£ coupons dated in Y (from each bond's coupon schedule), gross or net of tax
       const interestInYear = (Y) =>
-        active.reduce((sum, b) => {
-          const matY = new Date(b.maturityDate).getFullYear();
-          const par  = Number(b.parValue) || 0;
-          const r    = Number(b.couponRate) || 0; // % p.a.
-          return matY >= Y ? sum + par * (r / 100) : sum;
-        }, 0);
+        active.reduce((sum, b) => sum + this.toBaseCurrency(this.getIncomeInYear(b, Y), b), 0);
     
-      const totalPrincipalActive = active.reduce((s, b) => s + (Number(b.parValue) || 0), 0);
+      const totalPrincipalActive = active.reduce((s, b) => s + this.getParInBase(b), 0);
     
       const rowsHtml = years.map(y => {
-        const principalMaturing = byYearPrincipal[y] || 0;       // Principal (EUR)
+        const principalMaturing = byYearPrincipal[y] || 0;       // Principal (base currency)
         const shareOfTotal      = totalPrincipalActive > 0 ? (principalMaturing / totalPrincipalActive) : 0; // %
         const principalOutY     = principalOutstandingInYear(y);  // denominator for yield
         const interestY         = interestInYear(y);              // numerator for yield
@@ -440,7 +4557,7 @@ updateCharts() {
         return `
           <tr>
             <td>${y}</td>
-            <td class="num">${fmtEUR(principalMaturing)}</td>
+            <td class="num">${fmtBase(principalMaturing)}</td>
             <td class="num">${fmtPct0(shareOfTotal)}</td>
             <td class="num">${fmtPct1(yieldY)}</td>
           </tr>
@@ -452,9 +4569,9 @@ updateCharts() {
           <thead>
             <tr>
               <th>Year</th>
-              <th>Principal (EUR)</th>
+              <th>Principal (${base})</th>
               <th>Percentage</th>
-              <th>Yield</th>
+              <th>${this.isNetIncome() ? 'Net Yield' : 'Yield'}</th>
             </tr>
           </thead>
           <tbody>${rowsHtml}</tbody>
@@ -464,7 +4581,21 @@ updateCharts() {
 
 
   createIssuerTable() {
-  const container = document.getElementById('issuerBreakdownContainer');
+  this.createBreakdownTable('issuerBreakdownContainer', 'Issuer', b => b.issuer || 'â€”');
+}
+
+  // Rating bucket, sector and country tables from the issuer master
+  createMetadataBreakdowns() {
+    const buckets = this.getRatingBuckets();
+    this.createBreakdownTable('ratingBreakdownContainer', 'Rating', b => this.getBondRatingBucket(b),
+      (a, b) => buckets.indexOf(a[0]) - buckets.indexOf(b[0]));
+    this.createBreakdownTable('sectorBreakdownContainer', 'Sector', b => this.getIssuerInfo(b).sector || 'Unassigned');
+    this.createBreakdownTable('countryBreakdownContainer', 'Country', b => this.getIssuerInfo(b).country || 'Unassigned');
+  }
+
+  // Principal of the dashboard bonds grouped by `groupOf(bond)`, sorted by principal unless `sortRows` is given
+  createBreakdownTable(containerId, label, groupOf, sortRows = (a, b) => b[1] - a[1]) {
+  const container = document.getElementById(containerId);
   if (!container) return;
 
   const active = this.getDashboardBonds();
@@ -473,34 +4604,31 @@ updateCharts() {
     return;
   }
 
-  // Sum principal by issuer
-  const byIssuer = active.reduce((acc, b) => {
-    const issuer = b.issuer || 'â€”';
-    const par = Number(b.parValue) || 0;
-    acc[issuer] = (acc[issuer] || 0) + par;
+  // Sum principal by group
+  const byGroup = active.reduce((acc, b) => {
+    const key = groupOf(b);
+    const par = this.getParInBase(b);
+    acc[key] = (acc[key] || 0) + par;
     return acc;
   }, {});
 
-  const totalPrincipal = Object.values(byIssuer).reduce((s, v) => s + v, 0);
+  const totalPrincipal = Object.values(byGroup).reduce((s, v) => s + v, 0);
 
-  // Sort issuers by principal desc
-  const rows = Object.entries(byIssuer)
-    .sort((a, b) => b[1] - a[1]);
+  const rows = Object.entries(byGroup).sort(sortRows);
 
   // Formatters
-  const fmtEUR = (v) => new Intl.NumberFormat('de-DE', {
-    style: 'currency', currency: 'EUR', maximumFractionDigits: 0
-  }).format(v);
+  const base = this.getBaseCurrency();
+  const fmtBase = (v) => this.formatCurrency(v, base, { maximumFractionDigits: 0 });
   const fmtPct0 = (v) => new Intl.NumberFormat('de-DE', {
     maximumFractionDigits: 0
   }).format(v * 100) + '%';
 
-  const rowsHtml = rows.map(([issuer, principal]) => {
+  const rowsHtml = rows.map(([group, principal]) => {
     const pct = totalPrincipal > 0 ? principal / totalPrincipal : 0;
     return `
       <tr>
-        <td data-label="Issuer">${issuer}</td>
-        <td class="num" data-label="Principal (EUR)">${fmtEUR(principal)}</td>
+        <td data-label="${label}">${this.escapeHtml(group)}</td>
+        <td class="num" data-label="Principal (${base})">${fmtBase(principal)}</td>
         <td class="num" data-label="% of Total">${fmtPct0(pct)}</td>
       </tr>
     `;
@@ -510,8 +4638,8 @@ updateCharts() {
     <table class="table table--no-cards">
       <thead>
         <tr>
-          <th>Issuer</th>
-          <th>Principal (EUR)</th>
+          <th>${label}</th>
+          <th>Principal (${base})</th>
           <th>% of Total</th>
         </tr>
       </thead>
@@ -519,7 +4647,7 @@ updateCharts() {
         ${rowsHtml}
         <tr class="total-row">
           <td>Total</td>
-          <td class="num">${fmtEUR(totalPrincipal)}</td>
+          <td class="num">${fmtBase(totalPrincipal)}</td>
           <td class="num">${fmtPct0(1)}</td>
         </tr>
       </tbody>
@@ -538,6 +4666,7 @@ updateCharts() {
       issuerSelect.innerHTML = '<option value="">All Issuers</option>';
       issuers.forEach(issuer => issuerSelect.innerHTML += `<option value="${issuer}">${issuer}</option>`);
       if (this.filters.bonds.issuer && !issuers.includes(this.filters.bonds.issuer)) this.filters.bonds.issuer = '';
+      issuerSelect.value = this.filters.bonds.issuer || '';
     }
 
     // Depots
@@ -547,6 +4676,7 @@ updateCharts() {
       depotSelect.innerHTML = '<option value="">All Depots</option>';
       depots.forEach(depot => depotSelect.innerHTML += `<option value="${depot}">${depot}</option>`);
       if (this.filters.bonds.depot && !depots.includes(this.filters.bonds.depot)) this.filters.bonds.depot = '';
+      depotSelect.value = this.filters.bonds.depot || '';
     }
 
 
@@ -568,8 +4698,25 @@ updateCharts() {
     // keep the UI in sync after we may have reset it
     yearSelect.value = this.filters.bonds.year || '';
   }
+    // Issuer master: rating bucket, sector, country
+    const buckets = this.getRatingBuckets();
+    const metaFilters = [
+      { id: 'ratingFilter', key: 'rating', all: 'All Ratings', values: [...new Set(sourceBonds.map(b => this.getBondRatingBucket(b)))].sort((a, b) => buckets.indexOf(a) - buckets.indexOf(b)) },
+      { id: 'sectorFilter', key: 'sector', all: 'All Sectors', values: [...new Set(sourceBonds.map(b => this.getIssuerInfo(b).sector).filter(Boolean))].sort((a, b) => a.localeCompare(b)) },
+      { id: 'countryFilter', key: 'country', all: 'All Countries', values: [...new Set(sourceBonds.map(b => this.getIssuerInfo(b).country).filter(Boolean))].sort() }
+    ];
+    metaFilters.forEach(({ id, key, all, values }) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      select.innerHTML = `<option value="">${all}</option>` + values.map(v => `<option value="${this.escapeHtml(v)}">${this.escapeHtml(v)}</option>`).join('');
+      if (this.filters.bonds[key] && !values.includes(this.filters.bonds[key])) this.filters.bonds[key] = '';
+      select.value = this.filters.bonds[key] || '';
+    });
+
     const excludeToggle = document.getElementById('excludeMaturedToggle');
     if (excludeToggle) excludeToggle.checked = !!this.filters.bonds.excludeMatured;
+    const searchInput = document.getElementById('bondSearch');
+    if (searchInput && searchInput.value !== (this.filters.bonds.search || '')) searchInput.value = this.filters.bonds.search || '';
   }
 
   updateInterestFilters() {
@@ -578,11 +4725,11 @@ updateCharts() {
       depot: document.getElementById('interestDepotFilter'),
       year: document.getElementById('interestYearFilter')
     };
-    const now = new Date();
+    const now = this.getAsOfDate();
     const currentYear = now.getFullYear();
 
     const validBonds = this.data.bonds.filter(b => Number.isFinite(Date.parse(b.maturityDate)));
-    if (!validBonds.length) {
+    if (!validBonds.length && !this.data.etfs.length) {
       if (selects.issuer) selects.issuer.innerHTML = '<option value="">All Issuers</option>';
       if (selects.depot) selects.depot.innerHTML = '<option value="">All Depots</option>';
       if (selects.year) selects.year.innerHTML = '<option value="">All Years</option>';
@@ -603,7 +4750,7 @@ updateCharts() {
 
     // Depots
     if (selects.depot) {
-      const depots = [...new Set(validBonds.map(b => b.depotBank).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+      const depots = [...new Set([...validBonds, ...this.data.etfs].map(b => b.depotBank).filter(Boolean))].sort((a, b) => a.localeCompare(b));
       selects.depot.innerHTML = '<option value="">All Depots</option>' + depots.map(d => `<option value="${d}">${d}</option>`).join('');
       if (this.filters.interest.depot && !depots.includes(this.filters.interest.depot)) this.filters.interest.depot = '';
       selects.depot.value = this.filters.interest.depot || '';
@@ -627,7 +4774,7 @@ updateCharts() {
     if (!bankSelect) return;
 
     const activeBonds = this.getActiveBonds();
-    const banks = [...new Set(activeBonds.map(b => b.depotBank).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    const banks = [...new Set([...activeBonds, ...this.data.etfs].map(b => b.depotBank).filter(Boolean))].sort((a, b) => a.localeCompare(b));
     const selectedBanks = (this.filters.dashboard.banks || []).filter(bank => banks.includes(bank));
     this.filters.dashboard.banks = selectedBanks;
 
@@ -635,6 +4782,113 @@ updateCharts() {
     [...bankSelect.options].forEach(option => {
       option.selected = selectedBanks.includes(option.value);
     });
+
+    const yieldWeighting = document.getElementById('yieldWeighting');
+    if (yieldWeighting) yieldWeighting.value = this.filters.dashboard.yieldWeighting === 'cost' ? 'cost' : 'par';
+    this.syncIncomeBasisControls();
+    this.syncProjectionControls();
+  }
+
+  // ---------- As-of date ----------
+  // Reminders are about the real calendar, so they ignore the as-of date
+  getAsOfDate() {
+    return this.asOfDate ? new Date(this.asOfDate) : new Date();
+  }
+
+  // value: 'YYYY-MM-DD' from the date input; empty (or today's date) returns to the live view
+  setAsOfDate(value) {
+    const m = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+    const today = this.toLocalDay(new Date());
+    this.asOfDate = date && date.getTime() !== today.getTime() ? date : null;
+    this.syncAsOfControls();
+    if (!this.hasPortfolioData()) return;
+    this.calculateStats();
+    this.updateUI();
+    if (this.detailBond && this.data.bonds.includes(this.detailBond)) this.showBondDetails(this.detailBond);
+  }
+
+  syncAsOfControls() {
+    const input = document.getElementById('asOfDate');
+    const bar = document.getElementById('asOfBar');
+    const reset = document.getElementById('asOfResetBtn');
+    if (input) input.value = this.toDateKey(this.getAsOfDate());
+    if (bar) bar.classList.toggle('asof-bar--active', !!this.asOfDate);
+    if (reset) reset.classList.toggle('hidden', !this.asOfDate);
+  }
+
+  // ---------- Routing ----------
+  // #/<tab>?<filter>=<value>&bond=<bond key>. Only the filters of the bonds and interest tabs are
+  // encoded, and only where they differ from the defaults.
+  getRouteFilterGroup(tab) {
+    return { bonds: 'bonds', interest: 'interest' }[tab] || null;
+  }
+
+  buildRoute() {
+    const params = new URLSearchParams();
+    const group = this.getRouteFilterGroup(this.currentTab);
+    if (group) {
+      Object.entries(this.filters[group]).forEach(([name, value]) => {
+        if (value === this.defaultFilters[group][name]) return;
+        params.set(name, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+      });
+    }
+    if (this.detailBond) params.set('bond', this.getPositionKey(this.detailBond));
+    const query = params.toString();
+    return `#/${this.currentTab}${query ? `?${query}` : ''}`;
+  }
+
+  parseRoute(hash) {
+    const [path, query = ''] = String(hash || '').replace(/^#\/?/, '').split('?');
+    const tab = document.getElementById(`${path}Tab`) ? path : 'dashboard';
+    return { tab, params: new URLSearchParams(query) };
+  }
+
+  // Tab switches and opening a detail add a history entry; filter changes replace the current one
+  updateRoute({ replace = false } = {}) {
+    if (this.applyingRoute) return;
+    const route = this.buildRoute();
+    if (route === window.location.hash) return;
+    // A replaced entry keeps its origin, so a deep link never passes for one of ours
+    const session = replace ? (history.state && history.state.session) || null : this.historySession;
+    const state = { detail: !!this.detailBond, session };
+    if (replace) history.replaceState(state, '', route);
+    else history.pushState(state, '', route);
+  }
+
+  applyRoute(hash = window.location.hash) {
+    const { tab, params } = this.parseRoute(hash);
+    this.applyingRoute = true;
+    try {
+      const group = this.getRouteFilterGroup(tab);
+      if (group) {
+        const defaults = this.defaultFilters[group];
+        Object.keys(defaults).forEach(name => {
+          const value = params.get(name);
+          if (value == null) this.filters[group][name] = defaults[name];
+          else this.filters[group][name] = typeof defaults[name] === 'boolean' ? value === '1' : value;
+        });
+        this.saveFiltersToCache();
+        // Rebuild the selects so values that no longer exist fall back to "All"
+        if (group === 'bonds') this.updateFilters();
+        else this.updateInterestFilters();
+      }
+      this.switchTab(tab);
+      if (group === 'bonds') this.renderBonds();
+
+      // Links from before routes named the position carry its bond key; they open the first match
+      const key = params.get('bond');
+      const find = (list) => list.find(b => this.getPositionKey(b) === key) || list.find(b => this.getBondKey(b) === key);
+      const bond = key && find(this.data.bonds);
+      const etf = key && !bond && find(this.data.etfs);
+      if (bond) this.showBondDetails(bond);
+      else if (etf) this.showEtfDetails(etf);
+      else if (this.detailBond) this.closeBondDetailModal();
+    } finally {
+      this.applyingRoute = false;
+    }
+    // Normalise the URL (dropped filters, unknown bond keys) without adding an entry
+    this.updateRoute({ replace: true });
   }
 
   switchTab(tabName) {
@@ -647,15 +4901,20 @@ updateCharts() {
     if (activeTab) activeTab.classList.add('active');
 
     this.currentTab = tabName;
-    if (tabName === 'dashboard' && this.data.bonds.length > 0) this.updateCharts();
-    if (tabName === 'interest' && this.data.bonds.length > 0) {
+    if (tabName === 'dashboard' && this.hasPortfolioData()) this.updateCharts();
+    if (tabName === 'etfs') this.renderEtfs();
+    if (tabName === 'performance') this.renderPerformance();
+    if (tabName === 'interest' && this.hasPortfolioData()) {
       this.updateInterestFilters();
       this.renderInterestTimeline();
     }
+    this.updateRoute();
   }
 
   updateFilter(type, filterName, value) {
     this.filters[type][filterName] = value;
+    this.saveFiltersToCache();
+    if (this.getRouteFilterGroup(type)) this.updateRoute({ replace: true });
     if (type === 'bonds') {
       if (filterName === 'excludeMatured') this.updateFilters();
       this.renderBonds();
@@ -663,8 +4922,11 @@ updateCharts() {
       this.calculateStats();
       this.updateStats();
       this.updateCharts();
+      this.renderBonds();
     } else if (type === 'interest') {
       this.renderInterestTimeline();
+    } else if (type === 'etfs') {
+      this.renderEtfs();
     }
   }
 
@@ -685,6 +4947,9 @@ updateCharts() {
     }
     if (f.issuer) bonds = bonds.filter(b => b.issuer === f.issuer);
     if (f.depot)  bonds = bonds.filter(b => b.depotBank === f.depot);
+    if (f.rating) bonds = bonds.filter(b => this.getBondRatingBucket(b) === f.rating);
+    if (f.sector) bonds = bonds.filter(b => (this.getIssuerInfo(b).sector || '') === f.sector);
+    if (f.country) bonds = bonds.filter(b => (this.getIssuerInfo(b).country || '') === f.country);
 
     if (f.year) bonds = bonds.filter(b => {
       const t = Date.parse(b.maturityDate);
@@ -692,7 +4957,7 @@ updateCharts() {
     });
 
     // Sort by maturity soonest-first (keeps active above matured)
-    const now = new Date();
+    const now = this.getAsOfDate();
     bonds.sort((a, b) => {
       const aActive = this.isBondActive(a, now);
       const bActive = this.isBondActive(b, now);
@@ -722,6 +4987,9 @@ updateCharts() {
     const isActive = this.isBondActive(bond);
     const maturityDate = new Date(bond.maturityDate).toLocaleDateString();
     const includeInDashboard = this.isBondIncludedInDashboard(bond);
+    const breaches = this.limitBreachesByBond.get(bond) || [];
+    const quote = this.getMarketPrice(bond);
+    const pnl = quote ? this.getUnrealisedPnl(bond) : null;
     return `
       <div class="bond-card">
         <div class="bond-header">
@@ -738,11 +5006,11 @@ updateCharts() {
           </div>
           <div class="detail-item">
             <div class="detail-label">Coupon</div>
-            <div class="detail-value">${(bond.couponRate ?? 0).toFixed(3)}%</div>
+            <div class="detail-value">${(bond.couponRate ?? 0).toFixed(3)}%${this.getCouponFrequency(bond) > 1 ? ` · ${this.getCouponFrequencyLabel(bond)}` : ''}</div>
           </div>
           <div class="detail-item">
             <div class="detail-label">Par Value</div>
-            <div class="detail-value">${this.formatCurrency(bond.parValue || 0)}</div>
+            <div class="detail-value">${this.formatCurrency(this.getPositionNominal(bond), this.getBondCurrency(bond))}</div>
           </div>
           <div class="detail-item">
             <div class="detail-label">Maturity</div>
@@ -752,9 +5020,22 @@ updateCharts() {
             <div class="detail-label">Depot</div>
             <div class="detail-value">${bond.depotBank}</div>
           </div>
+          ${quote ? `
+          <div class="detail-item">
+            <div class="detail-label">Price</div>
+            <div class="detail-value">${quote.price.toFixed(2)} · CY ${this.getCurrentYield(bond).toFixed(2)}%</div>
+          </div>
+          <div class="detail-item">
+            <div class="detail-label">Market Value</div>
+            <div class="detail-value">${this.formatCurrency(this.getMarketValue(bond), this.getBondCurrency(bond), { maximumFractionDigits: 0 })}${pnl != null ? ` <span class="${pnl < 0 ? 'pnl--loss' : 'pnl--gain'}">${pnl >= 0 ? '+' : ''}${this.formatCurrency(pnl, this.getBondCurrency(bond), { maximumFractionDigits: 0 })}</span>` : ''}</div>
+          </div>` : ''}
         </div>
-        <div class="status-badge ${isActive ? 'status-badge--active' : 'status-badge--matured'}">
-          ${isActive ? 'Active' : 'Matured'}
+        <div class="bond-badges">
+          <div class="status-badge ${isActive ? 'status-badge--active' : 'status-badge--matured'}">
+            ${this.getBondStatusLabel(bond)}
+          </div>
+          ${this.hasYieldMismatch(bond) ? '<div class="status-badge status-badge--warning" title="Stored yield differs from the computed yield">Yield ≠ file</div>' : ''}
+          ${breaches.length ? `<div class="status-badge status-badge--alert" title="${this.escapeHtml(breaches.map(b => this.describeBreach(b)).join('\n'))}">Limit: ${breaches.map(b => b.dimensionLabel.toLowerCase()).join(', ')}</div>` : ''}
         </div>
       </div>
     `;
@@ -769,38 +5050,49 @@ createInterestChart() {
   // Build yearly interest map and sorted labels
   const yearsSet = new Set();
   active.forEach(b => yearsSet.add(new Date(b.maturityDate).getFullYear()));
+  const projection = this.settings.projection.enabled ? this.getProjection() : null;
+  if (projection) projection.years.forEach(y => yearsSet.add(y));
   const years = Array.from(yearsSet).sort((a,b)=>a-b);
 
+  const base = this.getBaseCurrency();
   const interestByYear = years.map(Y =>
-    active.reduce((sum, b) => {
-      const matY = new Date(b.maturityDate).getFullYear();
-      const par  = Number(b.parValue) || 0;
-      const r    = Number(b.couponRate) || 0;
-      return matY >= Y ? sum + par * (r / 100) : sum;
-    }, 0)
+    active.reduce((sum, b) => sum + this.toBaseCurrency(this.getIncomeInYear(b, Y), b), 0)
   );
 
-  // Custom plugin to draw the â‚¬150,000 reference line
-  const REF = 150000;
+  // Custom plugin to draw the income goal as a stepped reference line (one segment per year)
+  const goals = years.map(Y => this.getIncomeGoal(Y));
+  const goalBasis = this.settings.incomeGoal.basis === 'net' ? 'net' : 'gross';
+  const goalLabel = (v) => `Goal ${this.formatCurrency(v, base, { maximumFractionDigits: 0 })}` +
+    (goalBasis !== this.settings.incomeBasis ? ` (${goalBasis === 'net' ? 'after tax' : 'gross'})` : '');
   const refLinePlugin = {
     id: 'refLine',
     afterDraw(chart) {
-      const { ctx, chartArea: { left, right }, scales: { y } } = chart;
-      if (!y) return;
-      const yPos = y.getPixelForValue(REF);
+      const { ctx, chartArea: { left, right }, scales: { x, y } } = chart;
+      if (!x || !y) return;
+      const half = years.length > 1 ? (x.getPixelForValue(1) - x.getPixelForValue(0)) / 2 : (right - left) / 2;
       ctx.save();
-      ctx.beginPath();
-      ctx.moveTo(left, yPos);
-      ctx.lineTo(right, yPos);
       ctx.setLineDash([6,6]);
       ctx.lineWidth = 1.5;
       ctx.strokeStyle = 'rgba(0,0,0,0.5)';
-      ctx.stroke();
-      ctx.setLineDash([]);
       ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
       ctx.fillStyle = 'rgba(0,0,0,0.7)';
       ctx.textAlign = 'right';
-      ctx.fillText('EUR 150.000', right - 4, yPos - 6);
+      goals.forEach((goal, i) => {
+        if (goal == null) return;
+        const yPos = y.getPixelForValue(goal);
+        const cx = x.getPixelForValue(i);
+        ctx.beginPath();
+        ctx.moveTo(Math.max(left, cx - half), yPos);
+        ctx.lineTo(Math.min(right, cx + half), yPos);
+        ctx.stroke();
+        // Label the first year of every step
+        if (i === 0 || goals[i - 1] !== goal) {
+          ctx.setLineDash([]);
+          ctx.textAlign = 'left';
+          ctx.fillText(goalLabel(goal), Math.max(left, cx - half) + 4, yPos - 6);
+          ctx.setLineDash([6,6]);
+        }
+      });
       ctx.restore();
     }
   };
@@ -813,24 +5105,52 @@ createInterestChart() {
     data: {
       labels: years,
       datasets: [{
-        label: 'Interest (EUR)',
-        data: interestByYear
-      }]
+        label: `${this.isNetIncome() ? 'Net interest' : 'Interest'} (${base})`,
+        data: interestByYear,
+        order: 2
+      }, ...(projection ? [{
+        type: 'line',
+        label: 'Projected income',
+        data: years.map(y => { const i = projection.years.indexOf(y); return i < 0 ? null : projection.income[i]; }),
+        borderColor: '#B4413C',
+        backgroundColor: '#B4413C',
+        tension: 0.2,
+        order: 1
+      }, {
+        type: 'line',
+        label: 'Principal outstanding',
+        data: years.map(y => { const i = projection.years.indexOf(y); return i < 0 ? null : projection.principal[i]; }),
+        borderColor: '#5D878F',
+        backgroundColor: '#5D878F',
+        borderDash: [4, 4],
+        yAxisID: 'y1',
+        order: 1
+      }] : [])]
     },
     options: {
       responsive: true,
       maintainAspectRatio: false,
-      plugins: { legend: { display: false } },
+      plugins: { legend: { display: !!projection, position: 'bottom' } },
       scales: {
         x: { grid: { display: false } },
         y: {
           ticks: {
-            callback: (v) => new Intl.NumberFormat('de-DE', {
-              style: 'currency', currency: 'EUR', maximumFractionDigits: 0
-            }).format(v)
+            callback: (v) => this.formatCurrency(v, base, { maximumFractionDigits: 0 })
           },
-          beginAtZero: true
-        }
+          beginAtZero: true,
+          // Keep the goal line inside the plot even when income is far below it
+          suggestedMax: Math.max(0, ...goals.filter(g => g != null)) * 1.1
+        },
+        ...(projection ? {
+          y1: {
+            position: 'right',
+            grid: { display: false },
+            ticks: {
+              callback: (v) => this.formatCurrency(v, base, { notation: 'compact', maximumFractionDigits: 1 })
+            },
+            beginAtZero: true
+          }
+        } : {})
       }
     },
     plugins: [refLinePlugin]
@@ -841,17 +5161,17 @@ createInterestChart() {
     const container = document.getElementById('interestTimeline');
     if (!container) return;
 
-    if (!this.data.bonds.length) {
+    if (!this.hasPortfolioData()) {
       container.innerHTML = `<div class="timeline-empty">Load bonds to see upcoming interest.</div>`;
       return;
     }
 
-    const now = new Date();
+    const now = this.getAsOfDate();
     const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
     const currentYear = now.getFullYear();
 
     const validBonds = this.data.bonds.filter(b => Number.isFinite(Date.parse(b.maturityDate)));
-    if (!validBonds.length) {
+    if (!validBonds.length && !this.data.etfs.length) {
       container.innerHTML = `<div class="timeline-empty">Load bonds to see upcoming interest.</div>`;
       return;
     }
@@ -861,30 +5181,37 @@ createInterestChart() {
     for (let y = currentYear; y <= maxYear; y++) allYears.push(y);
     const years = this.filters.interest.year ? [Number(this.filters.interest.year)] : allYears;
 
-    const fmtEUR = (v) => new Intl.NumberFormat('de-DE', {
-      style: 'currency', currency: 'EUR', maximumFractionDigits: 0
-    }).format(v);
+    const base = this.getBaseCurrency();
+    const fmtBase = (v) => this.formatCurrency(v, base, { maximumFractionDigits: 0 });
     const fmtDate = (d) => d.toLocaleDateString();
     const fmtMonth = (d) => new Intl.DateTimeFormat('en-US', { month: 'long' }).format(d);
 
       const blocks = years.map(year => {
-        const payments = this.data.bonds
-          .map(b => {
-            const t = Date.parse(b.maturityDate);
-            if (!Number.isFinite(t)) return null;
-            const maturityDate = new Date(t);
-            const maturityYear = maturityDate.getFullYear();
-            if (year > maturityYear) return null;
-
-          const payDate = new Date(year, maturityDate.getMonth(), maturityDate.getDate());
-          const payTs = payDate.getTime();
-          const par = Number(b.parValue) || 0;
-          const rate = Number(b.couponRate) || 0;
-          const interest = par * (rate / 100);
-
-          return { bond: b, payDate, payTs, interest, rate };
-        })
-        .filter(Boolean)
+        const payments = validBonds
+          .flatMap(b => this.getCouponsInYear(b, year).map(c => ({
+            bond: b,
+            payDate: c.date,
+            payTs: c.date.getTime(),
+            interest: this.toBaseCurrency(this.getCouponIncome(b, c), b),
+            nativeInterest: c.amount,
+            tax: this.isNetIncome() ? this.getCouponTax(b, c) : 0,
+            currency: this.getBondCurrency(b),
+            rate: Number(b.couponRate) || 0,
+            regular: c.regular,
+            isEtf: false
+          })))
+          .concat(this.data.etfs.flatMap(e => this.getEtfDistributions(e, year).map(c => ({
+            bond: e,
+            payDate: c.date,
+            payTs: c.date.getTime(),
+            interest: this.toBaseCurrency(this.getCouponIncome(e, c), e),
+            nativeInterest: c.amount,
+            tax: this.isNetIncome() ? this.getCouponTax(e, c) : 0,
+            currency: this.getBondCurrency(e),
+            rate: 0,
+            regular: true,
+            isEtf: true
+          }))))
         .filter(p => {
           const f = this.filters.interest;
           const issuerOk = !f.issuer || p.bond.issuer === f.issuer;
@@ -914,20 +5241,27 @@ createInterestChart() {
               .sort((a, b) => a.payTs - b.payTs);
             const monthTotal = monthPayments.reduce((sum, p) => sum + p.interest, 0);
             const monthName = fmtMonth(new Date(year, monthIndex, 1));
-            const items = monthPayments.map(({ bond, payDate, payTs, interest, rate }) => {
+            const items = monthPayments.map(({ bond, payDate, payTs, interest, nativeInterest, tax, currency, rate, regular, isEtf }) => {
               const isPast = payTs < startOfToday;
               return `
                 <div class="timeline-item ${isPast ? 'timeline-item--past' : ''}">
                   <div class="timeline-item-header">
                     <div class="timeline-item-title">${bond.name || bond.isin || 'Bond'}</div>
                     <div class="timeline-header-right">
+                      ${isEtf ? '<span class="timeline-badge timeline-badge--etf">ETF</span>' : ''}
+                      ${regular ? '' : '<span class="timeline-badge timeline-badge--irregular">Irregular</span>'}
                       ${isPast ? '<span class="timeline-badge timeline-badge--past">Past</span>' : ''}
-                      <div class="timeline-amount">${fmtEUR(interest)}</div>
+                      <div class="timeline-amount">${fmtBase(interest)}</div>
                     </div>
                   </div>
                   <div class="timeline-meta">
-                    <span>Coupon ${rate.toFixed(2)}%</span>
-                    <span>Nominal ${this.formatCurrency(bond.parValue || 0)}</span>
+                    ${isEtf ? `
+                    <span>Distribution ${this.formatCurrency(bond.distributionPerUnit || 0, currency)}/unit ${this.getDistributionFrequencyLabel(bond).toLowerCase()}</span>
+                    <span>Units ${new Intl.NumberFormat('de-DE', { maximumFractionDigits: 4 }).format(bond.units || 0)}</span>` : `
+                    <span>Coupon ${rate.toFixed(2)}% ${this.getCouponFrequencyLabel(bond).toLowerCase()}</span>
+                    <span>Nominal ${this.formatCurrency(this.getPositionNominal(bond), currency)}</span>`}
+                    ${currency !== base ? `<span>Coupon ${this.formatCurrency(nativeInterest, currency)}</span>` : ''}
+                    ${this.isNetIncome() ? `<span>Gross ${this.formatCurrency(nativeInterest, currency)} · Tax ${this.formatCurrency(tax, currency)}</span>` : ''}
                     <span>Bank ${bond.depotBank || 'N/A'}</span>
                     <span>Payment ${fmtDate(payDate)}</span>
                   </div>
@@ -940,7 +5274,7 @@ createInterestChart() {
                 <div class="timeline-month-header">
                   <div class="timeline-month-label">${monthName}</div>
                   <div class="timeline-month-actions">
-                    <div class="timeline-month-total">${fmtEUR(monthTotal)}</div>
+                    <div class="timeline-month-total">${fmtBase(monthTotal)}</div>
                     <button type="button" class="timeline-month-toggle" aria-expanded="true">Hide</button>
                   </div>
                 </div>
@@ -955,7 +5289,7 @@ createInterestChart() {
             <div class="timeline-year-header">
               <div class="timeline-year-label">${year}</div>
               <div class="timeline-year-actions">
-                <div class="timeline-year-total">${fmtEUR(total)}</div>
+                <div class="timeline-year-total">${fmtBase(total)}</div>
                 <button type="button" class="timeline-toggle" aria-expanded="false">Show months</button>
               </div>
             </div>
@@ -1012,6 +5346,19 @@ createInterestChart() {
     const content = document.getElementById('bondDetailContent');
     if (!modal || !title || !content) return;
 
+    const asOf = this.getAsOfDate();
+    const today = this.toLocalDay(asOf);
+    const nextCoupon = this.getCouponSchedule(bond).find(c => c.date >= today);
+    const computedYield = this.calculateYieldToMaturity(bond);
+    const storedYield = this.getStoredYield(bond);
+    const risk = this.calculateRiskMetrics(bond, asOf);
+    const currency = this.getBondCurrency(bond);
+    const base = this.getBaseCurrency();
+    const issuerInfo = this.getIssuerInfo(bond);
+    const quote = this.getMarketPrice(bond, asOf);
+    const pnl = quote ? this.getUnrealisedPnl(bond) : null;
+    const prices = this.getPriceHistory(bond);
+
     title.textContent = bond.name;
     content.innerHTML = `
       <div class="bond-detail-grid">
@@ -1020,35 +5367,364 @@ createInterestChart() {
           <div class="detail-item"><div class="detail-label">ISIN</div><div class="detail-value">${bond.isin}</div></div>
           <div class="detail-item"><div class="detail-label">WKN</div><div class="detail-value">${bond.wkn}</div></div>
           <div class="detail-item"><div class="detail-label">Issuer</div><div class="detail-value">${bond.issuer}</div></div>
+          <div class="detail-item"><div class="detail-label">Rating</div><div class="detail-value">${this.escapeHtml(issuerInfo.rating || 'Not rated')}</div></div>
+          <div class="detail-item"><div class="detail-label">Sector / Country</div><div class="detail-value">${this.escapeHtml(issuerInfo.sector || '—')} / ${this.escapeHtml(issuerInfo.country || '—')}</div></div>
+          <div class="detail-item"><div class="detail-label">Seniority</div><div class="detail-value">${this.escapeHtml(issuerInfo.seniority || '—')}</div></div>
         </div>
         <div class="detail-section">
           <h4>Financial Details</h4>
-          <div class="detail-item"><div class="detail-label">Par Value</div><div class="detail-value">${this.formatCurrency(bond.parValue || 0)}</div></div>
+          <div class="detail-item"><div class="detail-label">Par Value</div><div class="detail-value">${this.formatCurrency(this.getPositionNominal(bond), currency)}${currency !== base ? ` <span class="detail-sub">≈ ${this.formatCurrency(this.getParInBase(bond), base)}</span>` : ''}</div></div>
+          <div class="detail-item"><div class="detail-label">Currency</div><div class="detail-value">${currency}</div></div>
           <div class="detail-item"><div class="detail-label">Coupon Rate</div><div class="detail-value">${(bond.couponRate ?? 0).toFixed(2)}%</div></div>
-          <div class="detail-item"><div class="detail-label">Yield to Maturity</div><div class="detail-value">${(bond.yieldToMaturity ?? 0).toFixed(2)}%</div></div>
+          <div class="detail-item"><div class="detail-label">Coupon Frequency</div><div class="detail-value">${this.getCouponFrequencyLabel(bond)}</div></div>
+          <div class="detail-item"><div class="detail-label">Day Count</div><div class="detail-value">${this.getDayCount(bond)}</div></div>
+          <div class="detail-item"><div class="detail-label">Accrued Interest (${this.asOfDate ? today.toLocaleDateString() : 'today'})</div><div class="detail-value">${this.formatCurrency(this.calculateAccruedInterest(bond, asOf), currency)}</div></div>
+          <div class="detail-item"><div class="detail-label">Yield to Maturity</div><div class="detail-value">${computedYield != null ? `${computedYield.toFixed(2)}% (computed)` : (storedYield != null ? `${storedYield.toFixed(2)}% (from file)` : 'n/a')}</div></div>
+          ${computedYield != null && storedYield != null ? `<div class="detail-item"><div class="detail-label">Yield in File</div><div class="detail-value ${this.hasYieldMismatch(bond) ? 'detail-value--warning' : ''}">${storedYield.toFixed(2)}%${this.hasYieldMismatch(bond) ? ' ⚠ differs' : ''}</div></div>` : ''}
+        </div>
+        ${risk ? `
+        <div class="detail-section">
+          <h4>Rate Risk</h4>
+          <div class="detail-item"><div class="detail-label">Macaulay Duration</div><div class="detail-value">${risk.macaulay.toFixed(2)} years</div></div>
+          <div class="detail-item"><div class="detail-label">Modified Duration</div><div class="detail-value">${risk.modified.toFixed(2)}</div></div>
+          <div class="detail-item"><div class="detail-label">Convexity</div><div class="detail-value">${risk.convexity.toFixed(2)}</div></div>
+          ${risk.yieldEstimated ? '<div class="detail-item"><div class="detail-label">Note</div><div class="detail-value">Discounted at coupon rate (no yield available)</div></div>' : ''}
+        </div>` : ''}
+        <div class="detail-section">
+          <h4>Market</h4>
+          ${quote ? `
+          <div class="detail-item"><div class="detail-label">Clean Price</div><div class="detail-value">${quote.price.toFixed(3)} <span class="detail-sub">${this.fromDateKey(quote.date).toLocaleDateString()}</span></div></div>
+          <div class="detail-item"><div class="detail-label">Market Value</div><div class="detail-value">${this.formatCurrency(this.getMarketValue(bond), currency)}</div></div>
+          <div class="detail-item"><div class="detail-label">Unrealised P/L</div><div class="detail-value">${pnl != null ? `<span class="${pnl < 0 ? 'pnl--loss' : 'pnl--gain'}">${pnl >= 0 ? '+' : ''}${this.formatCurrency(pnl, currency)}</span>` : '—'}</div></div>
+          <div class="detail-item"><div class="detail-label">Current Yield</div><div class="detail-value">${this.getCurrentYield(bond).toFixed(2)}%</div></div>
+          ` : '<div class="detail-item"><div class="detail-label">Price</div><div class="detail-value">No price yet</div></div>'}
+          <div class="price-entry">
+            <input type="text" class="form-control" id="detailPriceInput" inputmode="decimal" placeholder="Price (% of par)" aria-label="Clean price in % of par" />
+            <input type="date" class="form-control" id="detailPriceDate" value="${this.toDateKey(asOf)}" aria-label="Price date" />
+            <button type="button" class="btn btn--outline btn--sm" id="savePriceBtn">Add</button>
+          </div>
+          ${prices.length ? `
+          <ul class="price-history">
+            ${prices.slice(-5).reverse().map(p => `
+              <li><span>${this.fromDateKey(p.date).toLocaleDateString()}</span><span>${p.price.toFixed(3)}</span><button type="button" class="price-delete" data-price-date="${p.date}" aria-label="Delete price">&times;</button></li>
+            `).join('')}
+          </ul>` : ''}
         </div>
+        ${this.renderLedgerSection(bond, currency)}
         <div class="detail-section">
           <h4>Purchase Details</h4>
-          <div class="detail-item"><div class="detail-label">Initial Price</div><div class="detail-value">${this.formatCurrency(bond.initialPrice || 0)}</div></div>
+          <div class="detail-item"><div class="detail-label">Initial Price</div><div class="detail-value">${this.formatCurrency(this.getPositionCost(bond) || 0, currency)}</div></div>
+          <div class="detail-item"><div class="detail-label">Purchase Date</div><div class="detail-value">${this.getPurchaseDate(bond) ? new Date(this.getPurchaseDate(bond)).toLocaleDateString() : '—'}</div></div>
           <div class="detail-item"><div class="detail-label">Depot Bank</div><div class="detail-value">${bond.depotBank}</div></div>
         </div>
         <div class="detail-section">
           <h4>Maturity</h4>
           <div class="detail-item"><div class="detail-label">Maturity Date</div><div class="detail-value">${new Date(bond.maturityDate).toLocaleDateString()}</div></div>
-          <div class="detail-item"><div class="detail-label">Days to Maturity</div><div class="detail-value">${Math.ceil((new Date(bond.maturityDate) - new Date()) / (1000 * 60 * 60 * 24))}</div></div>
+          ${nextCoupon ? `<div class="detail-item"><div class="detail-label">Next Coupon</div><div class="detail-value">${nextCoupon.date.toLocaleDateString()} · ${this.formatCurrency(nextCoupon.amount, currency)}</div></div>` : ''}
+          <div class="detail-item"><div class="detail-label">Days to Maturity</div><div class="detail-value">${Math.ceil((new Date(bond.maturityDate) - asOf) / (1000 * 60 * 60 * 24))}</div></div>
         </div>
       </div>
+      <div class="bond-detail-actions">
+        <button type="button" class="btn btn--danger btn--sm" id="deleteBondBtn">Delete</button>
+        <button type="button" class="btn btn--primary btn--sm" id="editBondBtn">Edit</button>
+      </div>
     `;
+    this.detailBond = bond;
+    const editBtn = document.getElementById('editBondBtn');
+    const deleteBtn = document.getElementById('deleteBondBtn');
+    if (editBtn) editBtn.addEventListener('click', e => { e.preventDefault(); this.closeBondDetailModal(); this.openBondEditor(bond); });
+    if (deleteBtn) deleteBtn.addEventListener('click', e => { e.preventDefault(); this.deleteBond(bond); });
+    const savePriceBtn = document.getElementById('savePriceBtn');
+    if (savePriceBtn) savePriceBtn.addEventListener('click', e => { e.preventDefault(); this.saveManualPrice(bond); });
+    content.querySelectorAll('[data-price-date]').forEach(btn => {
+      btn.addEventListener('click', e => { e.preventDefault(); this.deletePrice(bond, btn.getAttribute('data-price-date')); });
+    });
+    const addTxBtn = document.getElementById('addTxBtn');
+    if (addTxBtn) addTxBtn.addEventListener('click', e => { e.preventDefault(); this.addTransactionFromForm(bond); });
+    content.querySelectorAll('[data-tx-id]').forEach(btn => {
+      btn.addEventListener('click', e => { e.preventDefault(); this.deleteTransaction(bond, btn.getAttribute('data-tx-id')); });
+    });
     modal.classList.remove('hidden');
+    this.updateRoute();
   }
 
   closeBondDetailModal() {
+    const wasOpen = !!this.detailBond;
+    this.detailBond = null;
     const modal = document.getElementById('bondDetailModal');
     if (modal) modal.classList.add('hidden');
+    if (!wasOpen || this.applyingRoute) return;
+    // Closing undoes the entry added by opening, so the back gesture and the close button agree;
+    // a detail reached by a link or reload has no entry of ours behind it to go back to
+    const state = history.state;
+    if (state && state.detail && state.session === this.historySession) history.back();
+    else this.updateRoute({ replace: true });
+  }
+
+  // ---------- Bond editor ----------
+  openBondEditor(bond = null) {
+    const modal = document.getElementById('bondEditorModal');
+    const form = document.getElementById('bondEditorForm');
+    const title = document.getElementById('bondEditorTitle');
+    if (!modal || !form) return;
+
+    this.editingBond = bond;
+    if (title) title.textContent = bond ? 'Edit Bond' : 'Add Bond';
+
+    const toDateInput = (value) => {
+      const t = Date.parse(value);
+      if (!Number.isFinite(t)) return '';
+      const d = new Date(t);
+      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    };
+    const values = {
+      name: bond?.name ?? '',
+      issuer: bond?.issuer ?? '',
+      isin: bond?.isin ?? '',
+      wkn: bond?.wkn ?? '',
+      couponRate: bond?.couponRate ?? '',
+      parValue: bond && this.hasLedger(bond) ? this.getPositionNominal(bond) : bond?.parValue ?? '',
+      currency: bond ? this.getBondCurrency(bond) : this.getBaseCurrency(),
+      initialPrice: bond && this.hasLedger(bond) ? this.getPositionCost(bond) || '' : bond?.initialPrice ?? '',
+      yieldToMaturity: bond?.yieldToMaturity ?? '',
+      maturityDate: bond ? toDateInput(bond.maturityDate) : '',
+      couponFrequency: bond ? String(this.getCouponFrequency(bond)) : '1',
+      dayCount: bond ? this.getDayCount(bond) : 'ACT/ACT',
+      endOfMonth: !!bond && bond.endOfMonth === true,
+      issueDate: bond ? toDateInput(bond.issueDate) : '',
+      purchaseDate: bond ? toDateInput(bond.purchaseDate) : '',
+      firstCouponDate: bond ? toDateInput(bond.firstCouponDate) : '',
+      depotBank: bond?.depotBank ?? ''
+    };
+    Object.entries(values).forEach(([field, value]) => {
+      const input = form.elements[field];
+      if (!input) return;
+      if (input.type === 'checkbox') input.checked = value;
+      else input.value = value;
+    });
+
+    const currencyList = document.getElementById('editCurrencySuggestions');
+    if (currencyList) {
+      const currencies = [...new Set(['EUR', 'USD', 'GBP', 'CHF', ...Object.keys(this.settings.fxRates || {}), ...this.data.bonds.map(b => this.getBondCurrency(b))])];
+      currencyList.innerHTML = currencies.map(c => `<option value="${c}"></option>`).join('');
+    }
+
+    const depotList = document.getElementById('editDepotSuggestions');
+    if (depotList) {
+      const depots = [...new Set(this.data.bonds.map(b => b.depotBank).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+      depotList.innerHTML = depots.map(d => `<option value="${this.escapeHtml(d)}"></option>`).join('');
+    }
+
+    // Nominal and cost of ledger positions come from their transactions
+    const ledger = !!bond && this.hasLedger(bond);
+    ['parValue', 'initialPrice'].forEach(field => {
+      if (!form.elements[field]) return;
+      form.elements[field].readOnly = ledger;
+      form.elements[field].title = ledger ? 'Derived from the transactions' : '';
+    });
+
+    this.showBondFormErrors({});
+    modal.classList.remove('hidden');
+  }
+
+  closeBondEditor() {
+    this.editingBond = null;
+    const modal = document.getElementById('bondEditorModal');
+    if (modal) modal.classList.add('hidden');
+  }
+
+  readBondEditorForm() {
+    const form = document.getElementById('bondEditorForm');
+    if (!form) return {};
+    const fields = ['name', 'issuer', 'isin', 'wkn', 'couponRate', 'parValue', 'currency', 'initialPrice', 'yieldToMaturity', 'maturityDate', 'couponFrequency', 'dayCount', 'endOfMonth', 'issueDate', 'firstCouponDate', 'purchaseDate', 'depotBank'];
+    return fields.reduce((acc, field) => {
+      const input = form.elements[field];
+      if (!input) acc[field] = '';
+      else acc[field] = input.type === 'checkbox' ? (input.checked ? 'true' : '') : String(input.value).trim();
+      return acc;
+    }, {});
+  }
+
+  // ISO 6166: letters map to 10..35, then Luhn over the resulting digit string
+  isValidIsin(isin) {
+    const s = String(isin || '').toUpperCase();
+    if (!/^[A-Z]{2}[A-Z0-9]{9}\d$/.test(s)) return false;
+    const digits = s.split('').map(ch => (/\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55))).join('');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let n = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        n *= 2;
+        if (n > 9) n -= 9;
+      }
+      sum += n;
+    }
+    return sum % 10 === 0;
+  }
+
+  validateBondForm(values) {
+    const errors = {};
+    const num = (v) => (v === '' ? null : this.parseGermanNumber(v));
+    const decimal = (v) => (v === '' ? null : this.parseDecimal(v));
+
+    if (!values.name) errors.name = 'Name is required';
+    if (!values.issuer) errors.issuer = 'Issuer is required';
+
+    const isin = values.isin.toUpperCase();
+    if (isin && !this.isValidIsin(isin)) errors.isin = 'Invalid ISIN (format or check digit)';
+    const wkn = values.wkn.toUpperCase();
+    if (wkn && !/^[A-Z0-9]{6}$/.test(wkn)) errors.wkn = 'WKN must be 6 letters or digits';
+
+    const couponRate = decimal(values.couponRate);
+    if (couponRate == null) errors.couponRate = 'Coupon is required';
+    else if (couponRate < 0 || couponRate > 100) errors.couponRate = 'Coupon must be between 0 and 100%';
+
+    const parValue = num(values.parValue);
+    if (parValue == null) errors.parValue = 'Par value is required';
+    else if (parValue <= 0) errors.parValue = 'Par value must be positive';
+
+    const currency = (values.currency || 'EUR').toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) errors.currency = 'Use a 3-letter ISO code (EUR, USD, …)';
+
+    const initialPrice = num(values.initialPrice);
+    if (values.initialPrice && (initialPrice == null || initialPrice < 0)) errors.initialPrice = 'Invalid price';
+    else if (this.isAmbiguousNumber(values.initialPrice)) errors.initialPrice = 'Ambiguous amount: write 99125 or 99,125';
+    const yieldToMaturity = decimal(values.yieldToMaturity);
+    if (values.yieldToMaturity && yieldToMaturity == null) errors.yieldToMaturity = 'Invalid yield';
+
+    const maturityDate = this.parseGermanDate(values.maturityDate);
+    if (!values.maturityDate) errors.maturityDate = 'Maturity date is required';
+    else if (!maturityDate) errors.maturityDate = 'Invalid date';
+
+    const couponFrequency = this.parseCouponFrequency(values.couponFrequency) || 1;
+    const issueDate = values.issueDate ? this.parseGermanDate(values.issueDate) : null;
+    if (values.issueDate && !issueDate) errors.issueDate = 'Invalid date';
+    else if (issueDate && maturityDate && issueDate >= maturityDate) errors.issueDate = 'Must be before maturity';
+    const firstCouponDate = values.firstCouponDate ? this.parseGermanDate(values.firstCouponDate) : null;
+    if (values.firstCouponDate && !firstCouponDate) errors.firstCouponDate = 'Invalid date';
+    else if (firstCouponDate && maturityDate && firstCouponDate > maturityDate) errors.firstCouponDate = 'Must not be after maturity';
+    else if (firstCouponDate && issueDate && firstCouponDate <= issueDate) errors.firstCouponDate = 'Must be after interest start';
+    const purchaseDate = values.purchaseDate ? this.parseGermanDate(values.purchaseDate) : null;
+    if (values.purchaseDate && !purchaseDate) errors.purchaseDate = 'Invalid date';
+    else if (purchaseDate && maturityDate && purchaseDate >= maturityDate) errors.purchaseDate = 'Must be before maturity';
+
+    const bond = {
+      name: values.name,
+      issuer: values.issuer,
+      isin,
+      wkn,
+      couponRate,
+      parValue,
+      currency,
+      maturityDate,
+      depotBank: values.depotBank
+    };
+    if (initialPrice != null) bond.initialPrice = initialPrice;
+    if (yieldToMaturity != null) bond.yieldToMaturity = yieldToMaturity;
+    bond.couponFrequency = couponFrequency;
+    bond.dayCount = this.parseDayCount(values.dayCount) || 'ACT/ACT';
+    if (values.endOfMonth === 'true') bond.endOfMonth = true;
+    if (issueDate) bond.issueDate = issueDate;
+    if (firstCouponDate) bond.firstCouponDate = firstCouponDate;
+    if (purchaseDate) bond.purchaseDate = purchaseDate;
+    return { bond, errors };
+  }
+
+  showBondFormErrors(errors) {
+    const form = document.getElementById('bondEditorForm');
+    if (!form) return;
+    form.querySelectorAll('[data-error-for]').forEach(el => {
+      const field = el.getAttribute('data-error-for');
+      el.textContent = errors[field] || '';
+      if (form.elements[field]) form.elements[field].classList.toggle('is-invalid', !!errors[field]);
+    });
+  }
+
+  generateBondId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID().toUpperCase();
+    return 'BOND-' + Date.now().toString(36).toUpperCase() + '-' + Math.random().toString(36).slice(2, 8).toUpperCase();
+  }
+
+  saveBondFromEditor() {
+    const { bond, errors } = this.validateBondForm(this.readBondEditorForm());
+    // A sold-out ledger position legitimately has no par value left
+    if (this.editingBond && this.hasLedger(this.editingBond)) delete errors.parValue;
+    this.showBondFormErrors(errors);
+    if (Object.keys(errors).length) return;
+
+    const original = this.editingBond;
+    if (original) {
+      const index = this.data.bonds.indexOf(original);
+      if (index < 0) {
+        alert('This bond no longer exists.');
+        this.closeBondEditor();
+        return;
+      }
+      // Ledger positions keep their stored fallback nominal and cost; the form only shows derived ones
+      if (this.hasLedger(original)) {
+        bond.parValue = original.parValue;
+        if ('initialPrice' in original) bond.initialPrice = original.initialPrice;
+        else delete bond.initialPrice;
+      }
+      // Keep fields the form doesn't know about (id, custom attributes)
+      const updated = { ...original, ...bond };
+      ['initialPrice', 'yieldToMaturity', 'endOfMonth', 'issueDate', 'firstCouponDate', 'purchaseDate'].forEach(field => {
+        if (!(field in bond)) delete updated[field];
+      });
+      this.renameBondKeyInFilters(this.getBondKey(original), this.getBondKey(updated));
+      this.data.bonds[index] = updated;
+    } else {
+      this.data.bonds.push({ id: this.generateBondId(), ...bond });
+    }
+
+    this.closeBondEditor();
+    this.commitBondChanges(`${original ? 'Edited' : 'Added'} ${bond.name}`);
+  }
+
+  deleteBond(bond) {
+    const index = this.data.bonds.indexOf(bond);
+    if (index < 0) return;
+    if (!confirm(`Delete "${bond.name || bond.isin || 'this bond'}"?`)) return;
+
+    const key = this.getBondKey(bond);
+    this.data.bonds.splice(index, 1);
+    this.filters.dashboard.excludedBondKeys = (this.filters.dashboard.excludedBondKeys || []).filter(k => k !== key);
+    this.saveFiltersToCache();
+    this.closeBondDetailModal();
+    this.commitBondChanges(`Deleted ${bond.name || bond.isin || 'bond'}`);
+  }
+
+  renameBondKeyInFilters(oldKey, newKey) {
+    if (oldKey === newKey) return;
+    this.filters.dashboard.excludedBondKeys = (this.filters.dashboard.excludedBondKeys || [])
+      .map(k => (k === oldKey ? newKey : k));
+    this.saveFiltersToCache();
+  }
+
+  // Persist in-app edits and refresh every view that derives from the bond list
+  commitBondChanges(reason = 'Edit') {
+    this.saveBondsToCache(reason);
+    this.calculateStats();
+    this.updateUI();
+    if (this.hasPortfolioData()) this.hideEmptyState();
+    else this.showEmptyState();
+  }
+
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
 
-  formatCurrency(amount) {
-    return new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'EUR' }).format(amount);
+  formatCurrency(amount, currency = this.getBaseCurrency(), options = {}) {
+    try {
+      return new Intl.NumberFormat('de-DE', { style: 'currency', currency, ...options }).format(amount);
+    } catch {
+      return `${new Intl.NumberFormat('de-DE', options).format(amount)} ${currency}`;
+    }
   }
 }
 
@@ -1056,7 +5732,40 @@ createInterestChart() {
 document.addEventListener('DOMContentLoaded', () => { new PortfolioManager(); });
 
 if ('serviceWorker' in navigator) {
+  // A new version installs in the background and waits; the banner lets the user switch to it.
+  // Only reload on a controller change if a worker was already in control (not on first install).
+  const hadController = !!navigator.serviceWorker.controller;
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  const showUpdatePrompt = (worker) => {
+    const banner = document.getElementById('updateBanner');
+    const reloadBtn = document.getElementById('updateReloadBtn');
+    const laterBtn = document.getElementById('updateLaterBtn');
+    if (!banner) return;
+    banner.classList.remove('hidden');
+    if (reloadBtn) reloadBtn.onclick = () => worker.postMessage({ type: 'skip-waiting' });
+    if (laterBtn) laterBtn.onclick = () => banner.classList.add('hidden');
+  };
+
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/service-worker.js').catch(console.error);
+    navigator.serviceWorker.register('/service-worker.js', { updateViaCache: 'none' }).then(reg => {
+      if (reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+        });
+      });
+      // Home-screen apps are rarely reloaded, so check for a new version whenever they come back
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') reg.update().catch(() => {});
+      });
+    }).catch(console.error);
   });
 }
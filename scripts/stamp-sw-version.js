@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Sets VERSION in service-worker.js to a hash of the files it caches, so every deployment that
+// changes one of them installs a new worker (and a new cache) without a hand-edited version.
+// Run before deploying: node scripts/stamp-sw-version.js
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const root = path.join(__dirname, "..");
+const workerPath = path.join(root, "service-worker.js");
+const worker = fs.readFileSync(workerPath, "utf8");
+
+// The list is read from the worker itself so the two cannot drift apart
+const list = worker.match(/const URLS_TO_CACHE = (\[[\s\S]*?\]);/);
+if (!list) throw new Error("URLS_TO_CACHE not found in service-worker.js");
+const urls = JSON.parse(list[1]);
+
+const hash = crypto.createHash("sha256");
+urls.forEach((url) => {
+  // "/" is served as index.html, which is hashed under its own entry
+  if (url === "/") return;
+  hash.update(url);
+  hash.update(fs.readFileSync(path.join(root, url)));
+});
+const version = hash.digest("hex").slice(0, 12);
+
+const line = /^const VERSION = ".*";$/m;
+if (!line.test(worker)) throw new Error("VERSION not found in service-worker.js");
+const stamped = worker.replace(line, `const VERSION = "${version}";`);
+if (stamped === worker) {
+  console.log(`VERSION is already ${version}`);
+} else {
+  fs.writeFileSync(workerPath, stamped);
+  console.log(`VERSION set to ${version}`);
+}
@@ -1,19 +1,33 @@
-const CACHE_NAME = "bond-app-v1";
+// VERSION is a hash of the cached files, stamped by scripts/stamp-sw-version.js before each
+// deployment. A new value installs the new worker next to the running one and the app offers a
+// reload; old caches are dropped once it takes over.
+const VERSION = "bb0f18cc0b24";
+const CACHE_PREFIX = "bond-app-";
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
 const URLS_TO_CACHE = [
   "/",
   "/index.html",
   "/style.css",
   "/app.js",
+  "/vendor/chart.umd.js",
   "/site.webmanifest",
   "/icons/apple-touch-icon-120.png",
   "/icons/apple-touch-icon-152.png",
   "/icons/apple-touch-icon-167.png",
   "/icons/apple-touch-icon-180.png"
 ];
+// App shell files are served from the cache and refreshed in the background (stale-while-revalidate)
+const APP_SHELL = new Set(["/", "/index.html", "/style.css", "/app.js", "/site.webmanifest"]);
+// Pending reminders posted by the app, plus the ids already shown, kept as one JSON entry
+const REMINDER_CACHE = "bond-app-reminders";
+const REMINDER_URL = "/__reminders__";
 
+// cache: "reload" bypasses the HTTP cache so a new version never installs stale files
 self.addEventListener("install", (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => cache.addAll(URLS_TO_CACHE))
+    caches.open(CACHE_NAME).then((cache) =>
+      cache.addAll(URLS_TO_CACHE.map((url) => new Request(url, { cache: "reload" })))
+    )
   );
 });
 
@@ -22,15 +36,113 @@ self.addEventListener("activate", (event) => {
     caches.keys().then((keys) =>
       Promise.all(
         keys
-          .filter((key) => key !== CACHE_NAME)
+          .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME && key !== REMINDER_CACHE)
           .map((key) => caches.delete(key))
       )
-    )
+    ).then(() => self.clients.claim())
   );
 });
 
+// Sent by the update prompt in the app
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "skip-waiting") self.skipWaiting();
+});
+
+async function staleWhileRevalidate(event, cacheKey) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(cacheKey);
+  const network = fetch(event.request).then((response) => {
+    if (response && response.ok) {
+      return cache.put(cacheKey, response.clone()).then(() => response);
+    }
+    return response;
+  });
+  event.waitUntil(network.catch(() => {}));
+  return cached || network;
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { cacheName: CACHE_NAME });
+  return cached || fetch(request);
+}
+
 self.addEventListener("fetch", (event) => {
-  event.respondWith(
-    caches.match(event.request).then((cached) => cached || fetch(event.request))
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(staleWhileRevalidate(event, "/index.html"));
+  } else if (APP_SHELL.has(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, url.pathname));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+async function readReminderState() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const response = await cache.match(REMINDER_URL);
+  if (!response) return { reminders: [], shown: [] };
+  try {
+    const state = await response.json();
+    return { reminders: state.reminders || [], shown: state.shown || [] };
+  } catch {
+    return { reminders: [], shown: [] };
+  }
+}
+
+async function writeReminderState(state) {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put(
+    REMINDER_URL,
+    new Response(JSON.stringify(state), { headers: { "Content-Type": "application/json" } })
+  );
+}
+
+// Shows every reminder whose notify date has come and whose event is not yet over, once
+async function showDueReminders() {
+  const state = await readReminderState();
+  const now = new Date();
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const due = state.reminders.filter(
+    (r) => r.notifyAt <= now.getTime() && r.eventAt >= startOfToday && !state.shown.includes(r.id)
+  );
+  for (const r of due) {
+    await self.registration.showNotification(r.title, {
+      body: r.body,
+      tag: r.id,
+      icon: "/icons/apple-touch-icon-180.png",
+      data: { url: "/" }
+    });
+  }
+  state.shown = state.shown.concat(due.map((r) => r.id));
+  await writeReminderState(state);
+}
+
+self.addEventListener("message", (event) => {
+  if (!event.data || event.data.type !== "reminders") return;
+  event.waitUntil(
+    readReminderState().then((state) => {
+      const reminders = event.data.reminders || [];
+      // Forget shown ids that are no longer pending so the list does not grow forever
+      const ids = new Set(reminders.map((r) => r.id));
+      return writeReminderState({ reminders, shown: state.shown.filter((id) => ids.has(id)) });
+    }).then(showDueReminders)
+  );
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "bond-reminders") event.waitUntil(showDueReminders());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      const client = clients[0];
+      if (client) return client.focus();
+      return self.clients.openWindow((event.notification.data && event.notification.data.url) || "/");
+    })
   );
 });